@@ -10,6 +10,7 @@
 
 const { EmbedBuilder } = require('discord.js');
 const logger = require('../../utils/logger');
+const rssManager = require('../../utils/rssManager');
 
 module.exports = {
     name: 'help',
@@ -27,7 +28,7 @@ module.exports = {
      */
     async execute(message, args, client) {
         try {
-            const prefix = process.env.PREFIX || '!';
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
             
             // If a specific command is requested
             if (args.length > 0) {
@@ -92,6 +93,15 @@ module.exports = {
                     });
                 }
                 
+                // Add owner only notice
+                if (command.ownerOnly) {
+                    commandEmbed.addFields({
+                        name: '👑 Owner Only',
+                        value: 'This command can only be used by the bot owner.',
+                        inline: false
+                    });
+                }
+                
                 // Add guild only notice
                 if (command.guildOnly) {
                     commandEmbed.addFields({
@@ -0,0 +1,270 @@
+/**
+ * Settings Command
+ *
+ * This command lets server admins change how the bot behaves in their
+ * server: the command prefix, feed limits, the check interval and embed
+ * color of new feeds, and the domains feeds may be added from.
+ * Settings that aren't changed follow the bot-wide defaults, and the feed
+ * limits can only be lowered below the limits set by the bot owner.
+ *
+ * Usage:
+ *   !settings show
+ *   !settings set prefix <prefix>
+ *   !settings set maxfeedsperchannel <number>
+ *   !settings set maxfeedsperguild <number>
+ *   !settings set interval <minutes>
+ *   !settings set color <#hex>
+ *   !settings reset <setting|all>
+ *   !settings domains <add|remove> <domain>
+ *   !settings domains clear
+ *
+ * Example: !settings set prefix ?
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { MAX_ALLOWED_DOMAINS, normalizeDomain } = require('../../utils/guildSettings');
+const logger = require('../../utils/logger');
+
+// Names used in the command, mapped to the stored setting names
+const SETTING_NAMES = {
+    prefix: 'prefix',
+    maxfeedsperchannel: 'maxFeedsPerChannel',
+    maxfeedsperguild: 'maxFeedsPerGuild',
+    interval: 'defaultInterval',
+    color: 'embedColor',
+    domains: 'allowedDomains'
+};
+
+module.exports = {
+    name: 'settings',
+    description: 'Show or change the bot settings of this server',
+    usage: '[show|set <setting> <value>|reset <setting|all>|domains <add|remove|clear> [domain]]',
+    aliases: ['config', 'serversettings'],
+    category: 'general',
+    cooldown: 3,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageGuild'], // User needs manage server permission
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            const action = (args[0] || 'show').toLowerCase();
+
+            if (action === 'show') {
+                return message.reply({ embeds: [this.buildSettingsEmbed(message)] });
+            }
+
+            if (action === 'set') {
+                const name = (args[1] || '').toLowerCase();
+                const key = SETTING_NAMES[name];
+
+                if (!key || key === 'allowedDomains' || args.length < 3) {
+                    return this.replyResult(message, false, `Usage: \`${this.getPrefix(message)}settings set <prefix|maxfeedsperchannel|maxfeedsperguild|interval|color> <value>\``);
+                }
+
+                const value = this.parseValue(key, args[2]);
+                if (value === null) {
+                    return this.replyResult(message, false, `\`${args[2]}\` is not a valid value for ${name}.`);
+                }
+
+                const result = await rssManager.setGuildSetting(message.guild.id, key, value);
+                return this.replyResult(message, result.success, result.success
+                    ? `**${name}** is now ${this.formatValue(key, value)}.`
+                    : result.message);
+            }
+
+            if (action === 'reset') {
+                const name = (args[1] || '').toLowerCase();
+                const key = name === 'all' ? null : SETTING_NAMES[name];
+
+                if (key === undefined) {
+                    return this.replyResult(message, false, `Usage: \`${this.getPrefix(message)}settings reset <${Object.keys(SETTING_NAMES).join('|')}|all>\``);
+                }
+
+                const result = await rssManager.resetGuildSetting(message.guild.id, key);
+                return this.replyResult(message, result.success, result.success
+                    ? (key ? `**${name}** now follows the bot-wide default.` : 'Every setting now follows the bot-wide default.')
+                    : result.message);
+            }
+
+            if (action === 'domains') {
+                return this.updateDomains(message, (args[1] || '').toLowerCase(), args[2]);
+            }
+
+            return this.replyResult(message, false, `Unknown action \`${action}\`. Usage: \`${this.getPrefix(message)}${this.name} ${this.usage}\``);
+
+        } catch (error) {
+            logger.error('Error in settings command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while updating the server settings.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Get the command prefix of the message's server
+     * @param {Message} message - Discord message object
+     * @returns {string} Command prefix
+     */
+    getPrefix(message) {
+        return rssManager.guildSettings.getPrefix(message.guild?.id);
+    },
+
+    /**
+     * Convert a value typed by the user into the stored form
+     * @param {string} key - Setting name
+     * @param {string} text - Value as typed
+     * @returns {*} Parsed value, or null if it can't be parsed
+     */
+    parseValue(key, text) {
+        switch (key) {
+            case 'prefix':
+                return text;
+
+            case 'maxFeedsPerChannel':
+            case 'maxFeedsPerGuild':
+                return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+
+            case 'defaultInterval': {
+                // Typed in minutes (1 minute to 24 hours), stored in milliseconds
+                const minutes = /^\d+$/.test(text) ? parseInt(text, 10) : 0;
+                return minutes >= 1 && minutes <= 24 * 60 ? minutes * 60 * 1000 : null;
+            }
+
+            case 'embedColor':
+                return /^#?[0-9a-f]{6}$/i.test(text) ? parseInt(text.replace('#', ''), 16) : null;
+
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Format a setting value for display
+     * @param {string} key - Setting name
+     * @param {*} value - Stored value
+     * @returns {string} Readable value
+     */
+    formatValue(key, value) {
+        switch (key) {
+            case 'prefix':
+                return `\`${value}\``;
+
+            case 'defaultInterval':
+                return `${Math.round(value / 60000)} minutes`;
+
+            case 'embedColor':
+                return value === null ? 'Template default' : `#${value.toString(16).padStart(6, '0').toUpperCase()}`;
+
+            case 'allowedDomains':
+                return value.length > 0 ? value.map(domain => `\`${domain}\``).join(', ') : 'Any domain';
+
+            default:
+                return `${value}`;
+        }
+    },
+
+    /**
+     * Build an embed showing every setting of the server
+     * @param {Message} message - Discord message object
+     * @returns {EmbedBuilder} Settings embed
+     */
+    buildSettingsEmbed(message) {
+        const settings = rssManager.guildSettings.get(message.guild.id);
+        const overrides = rssManager.guildSettings.getOverrides(message.guild.id);
+
+        const fields = Object.entries(SETTING_NAMES).map(([name, key]) => ({
+            name: `${name}${key in overrides ? '' : ' (default)'}`,
+            value: this.formatValue(key, settings[key]).substring(0, 1024),
+            inline: key !== 'allowedDomains'
+        }));
+
+        return new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`⚙️ Settings of ${message.guild.name}`)
+            .addFields(fields)
+            .setFooter({
+                text: `Usage: ${this.getPrefix(message)}${this.name} ${this.usage}`
+            })
+            .setTimestamp();
+    },
+
+    /**
+     * Add, remove or clear the allowed feed domains
+     * @param {Message} message - Discord message object
+     * @param {string} action - add, remove or clear
+     * @param {string} domainText - Domain typed by the user
+     */
+    async updateDomains(message, action, domainText) {
+        const prefix = this.getPrefix(message);
+        const domains = rssManager.guildSettings.get(message.guild.id).allowedDomains;
+
+        if (action === 'clear') {
+            const result = await rssManager.resetGuildSetting(message.guild.id, 'allowedDomains');
+            return this.replyResult(message, result.success, result.success
+                ? 'Feeds can be added from any domain again.'
+                : result.message);
+        }
+
+        if (!['add', 'remove'].includes(action) || !domainText) {
+            return this.replyResult(message, false, `Usage: \`${prefix}settings domains <add|remove> <domain>\` or \`${prefix}settings domains clear\``);
+        }
+
+        const domain = normalizeDomain(domainText);
+        if (!domain) {
+            return this.replyResult(message, false, `\`${domainText}\` is not a valid domain name.`);
+        }
+
+        let updated;
+        if (action === 'add') {
+            if (domains.includes(domain)) {
+                return this.replyResult(message, false, `\`${domain}\` is already allowed.`);
+            }
+            if (domains.length >= MAX_ALLOWED_DOMAINS) {
+                return this.replyResult(message, false, `A server can allow at most ${MAX_ALLOWED_DOMAINS} domains.`);
+            }
+            updated = [...domains, domain];
+        } else {
+            if (!domains.includes(domain)) {
+                return this.replyResult(message, false, `\`${domain}\` is not on the allowed domains.`);
+            }
+            updated = domains.filter(entry => entry !== domain);
+        }
+
+        // An empty list allows every domain, so removing the last one clears the setting
+        const result = updated.length > 0
+            ? await rssManager.setGuildSetting(message.guild.id, 'allowedDomains', updated)
+            : await rssManager.resetGuildSetting(message.guild.id, 'allowedDomains');
+
+        return this.replyResult(message, result.success, result.success
+            ? `Allowed domains: ${this.formatValue('allowedDomains', updated)}`
+            : result.message);
+    },
+
+    /**
+     * Reply with a success or failure embed
+     * @param {Message} message - Discord message object
+     * @param {boolean} success - Whether the action succeeded
+     * @param {string} text - Result message
+     */
+    replyResult(message, success, text) {
+        const resultEmbed = new EmbedBuilder()
+            .setColor(success ? 0x00FF00 : 0xFF0000)
+            .setTitle(success ? '✅ Settings Updated' : '❌ Settings Error')
+            .setDescription(text)
+            .setTimestamp();
+
+        return message.reply({ embeds: [resultEmbed] });
+    }
+};
\ No newline at end of file
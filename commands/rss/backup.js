@@ -0,0 +1,130 @@
+/**
+ * Backup Command
+ *
+ * This command creates a backup archive of every feed subscription and
+ * the bot configuration and sends it to the bot owner by direct message,
+ * since it contains the feeds of every server. The archive can be
+ * restored later with the restore command.
+ *
+ * `!backup list` shows the scheduled snapshots the bot keeps in its
+ * `backups/` directory instead; those can be restored by name.
+ *
+ * Usage: !backup [list]
+ * Example: !backup
+ */
+
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const backups = require('../../utils/backups');
+const logger = require('../../utils/logger');
+
+// Most snapshots shown by `!backup list`
+const MAX_LISTED_SNAPSHOTS = 20;
+
+module.exports = {
+    name: 'backup',
+    description: 'Receive a backup of all feeds and the bot configuration by DM, or list the saved snapshots',
+    usage: '[list]',
+    aliases: ['rssbackup'],
+    category: 'rss',
+    cooldown: 10,
+    ownerOnly: true, // Backups contain the feeds of every server
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            if ((args[0] || '').toLowerCase() === 'list') {
+                return this.listSnapshots(message);
+            }
+
+            const snapshot = rssManager.createBackup();
+            const archive = await backups.createArchive(snapshot);
+            const date = snapshot.createdAt.substring(0, 10);
+
+            const attachment = new AttachmentBuilder(archive, {
+                name: `carterbot-backup-${date}.json.gz`
+            });
+
+            const backupEmbed = new EmbedBuilder()
+                .setColor(0x00FF00)
+                .setTitle('💾 Backup Created')
+                .setDescription(`The attached archive contains ${rssManager.getTotalFeedCount()} feed(s) in ${Object.keys(snapshot.feeds).length} channel(s) and the bot configuration.`)
+                .setFooter({
+                    text: `Use ${rssManager.guildSettings.getPrefix(message.guild?.id)}restore with this file attached to restore it.`
+                })
+                .setTimestamp();
+
+            // The archive holds the feeds of every server, so it's never posted in a channel
+            try {
+                await message.author.send({ embeds: [backupEmbed], files: [attachment] });
+            } catch (error) {
+                logger.warn(`Could not send the backup to ${message.author.tag}: ${error.message}`);
+
+                const dmEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Backup Not Sent')
+                    .setDescription('The backup could not be sent by direct message. Allow direct messages from this server and try again.')
+                    .setTimestamp();
+
+                return message.reply({ embeds: [dmEmbed] });
+            }
+
+            if (message.guild) {
+                const sentEmbed = new EmbedBuilder()
+                    .setColor(0x00FF00)
+                    .setTitle('💾 Backup Created')
+                    .setDescription('The backup was sent to you by direct message.')
+                    .setTimestamp();
+
+                await message.reply({ embeds: [sentEmbed] });
+            }
+
+            logger.info(`Backup downloaded by ${message.author.tag}`);
+
+        } catch (error) {
+            logger.error('Error in backup command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while creating the backup.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Reply with the saved snapshots, newest first
+     * @param {Message} message - Discord message object
+     */
+    async listSnapshots(message) {
+        const snapshots = await backups.listSnapshots(rssManager.backupsPath);
+
+        const interval = rssManager.config.snapshotInterval;
+        const schedule = interval > 0
+            ? `A snapshot is saved every ${Math.round(interval / 3600000)} hour(s); the newest ${rssManager.config.snapshotRetention} are kept.`
+            : 'Scheduled snapshots are turned off (`snapshotInterval` is 0).';
+
+        const list = snapshots
+            .slice(0, MAX_LISTED_SNAPSHOTS)
+            .map(snapshot => `\`${snapshot.name}\` (${Math.ceil(snapshot.size / 1024)} KB, <t:${Math.floor(snapshot.createdAt.getTime() / 1000)}:R>)`)
+            .join('\n');
+
+        const listEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🗂️ Saved Snapshots')
+            .setDescription(`${schedule}\n\n${list || 'No snapshots have been saved yet.'}`)
+            .setFooter({
+                text: `Use ${rssManager.guildSettings.getPrefix(message.guild?.id)}restore <name> (or "latest") to restore a snapshot.`
+            })
+            .setTimestamp();
+
+        return message.reply({ embeds: [listEmbed] });
+    }
+};
\ No newline at end of file
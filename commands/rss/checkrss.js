@@ -0,0 +1,223 @@
+/**
+ * Check RSS Command
+ *
+ * This command checks RSS feeds for new items right away instead of
+ * waiting for their next scheduled check. It can check a single feed or
+ * every feed in the current channel, and replies with a summary of what
+ * was found and posted.
+ *
+ * With --dry-run the feeds are fetched but nothing is posted, and the
+ * items stay unseen so they are still posted by the next real check.
+ *
+ * Usage: !checkrss [RSS_URL|number] [--dry-run] [#channel]
+ * Example: !checkrss 2 --dry-run
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const logger = require('../../utils/logger');
+
+// Discord allows up to 25 fields and 6000 characters in total per embed
+const MAX_FIELDS = 25;
+const MAX_EMBED_LENGTH = 6000;
+
+module.exports = {
+    name: 'checkrss',
+    description: 'Check RSS feeds for new items right now',
+    usage: '[RSS_URL|number] [--dry-run] [#channel]',
+    aliases: ['rsscheck', 'refreshrss'],
+    category: 'rss',
+    cooldown: 30, // Checking feeds makes HTTP requests, so keep this low-frequency
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+
+            // Separate the --dry-run flag from the feed reference
+            const dryRun = args.some(arg => arg.toLowerCase() === '--dry-run');
+            const references = args.filter(arg => arg.toLowerCase() !== '--dry-run');
+
+            // Work out which feeds to check
+            let feedUrls;
+            if (references.length > 0) {
+                const feedUrl = rssManager.resolveFeed(targetChannel.id, references[0]);
+                if (!feedUrl) {
+                    const errorEmbed = new EmbedBuilder()
+                        .setColor(0xFF0000)
+                        .setTitle('❌ Feed Not Found')
+                        .setDescription(`No feed matching \`${references[0]}\` exists in ${targetChannel}.`)
+                        .setFooter({
+                            text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                        })
+                        .setTimestamp();
+
+                    return message.reply({ embeds: [errorEmbed] });
+                }
+                feedUrls = [feedUrl];
+            } else {
+                feedUrls = rssManager.getChannelFeeds(targetChannel.id).map(feed => feed.url);
+            }
+
+            if (feedUrls.length === 0) {
+                const noFeedsEmbed = new EmbedBuilder()
+                    .setColor(0xFFAA00)
+                    .setTitle('📰 No RSS Feeds')
+                    .setDescription(`No RSS feeds are configured for ${targetChannel}.`)
+                    .addFields({
+                        name: '💡 Add a Feed',
+                        value: `Use \`${prefix}newrss <URL>\` to add your first RSS feed!`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [noFeedsEmbed] });
+            }
+
+            // Show loading message
+            const loadingEmbed = new EmbedBuilder()
+                .setColor(0xFFFF00)
+                .setTitle(dryRun ? '🔍 Previewing RSS Feeds' : '🔍 Checking RSS Feeds')
+                .setDescription(`Please wait while we check ${feedUrls.length} feed(s)...`)
+                .setTimestamp();
+
+            const loadingMessage = await message.reply({ embeds: [loadingEmbed] });
+
+            // Check the feeds one at a time to keep the load on the feed hosts low
+            const summaries = [];
+            for (const feedUrl of feedUrls) {
+                summaries.push(await rssManager.checkFeed(targetChannel.id, feedUrl, { dryRun }));
+            }
+
+            await loadingMessage.edit({ embeds: [this.buildSummaryEmbed(summaries, dryRun)] });
+
+            logger.logRSS(dryRun ? 'checked-dry-run' : 'checked', feedUrls.length === 1 ? feedUrls[0] : `${feedUrls.length} feeds`,
+                targetChannel.id, `by ${message.author.tag}`);
+
+        } catch (error) {
+            logger.error('Error in checkrss command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while checking the RSS feeds.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Build the reply embed from the check summaries
+     * @param {Array<Object>} summaries - Summaries returned by rssManager.checkFeed
+     * @param {boolean} dryRun - Whether this was a dry run
+     * @returns {EmbedBuilder} Summary embed
+     */
+    buildSummaryEmbed(summaries, dryRun) {
+        const failed = summaries.filter(summary => !summary.success).length;
+        const totalFound = summaries.reduce((total, summary) => total + summary.itemsFound, 0);
+        const totalNew = summaries.reduce((total, summary) => total + summary.newItems.length, 0);
+        const totalPosted = summaries.reduce((total, summary) => total + summary.posted + summary.queued, 0);
+
+        const totals = dryRun
+            ? `${totalFound} items found, ${totalNew} would be posted`
+            : `${totalFound} items found, ${totalPosted} posted`;
+
+        const title = dryRun ? '🧪 RSS Check Preview (Dry Run)' : '✅ RSS Check Complete';
+        const description = `Checked ${summaries.length} feed(s): ${totals}${failed > 0 ? `, ${failed} error(s)` : ''}.`;
+        const footer = dryRun ? 'Nothing was posted and no items were marked as seen.' : null;
+
+        const summaryEmbed = new EmbedBuilder()
+            .setColor(failed === 0 ? 0x00FF00 : (failed === summaries.length ? 0xFF0000 : 0xFFAA00))
+            .setTitle(title)
+            .setTimestamp();
+
+        if (footer) {
+            summaryEmbed.setFooter({ text: footer });
+        }
+
+        // Keep room for the "…and N more feeds" line in the length limit
+        const moreLine = `\n…and ${summaries.length} more feeds`;
+        let embedLength = title.length + description.length + moreLine.length + (footer ? footer.length : 0);
+        let shown = 0;
+
+        for (const summary of summaries.slice(0, MAX_FIELDS)) {
+            let value;
+
+            if (!summary.success) {
+                value = `❌ ${summary.message || 'Unknown error'}`;
+                if (summary.fetchTime > 0) {
+                    value += `\n⏱️ ${summary.fetchTime} ms`;
+                }
+            } else {
+                const lines = [`📄 Found: ${summary.itemsFound}`];
+
+                if (dryRun) {
+                    lines.push(`📬 Would post: ${summary.newItems.length}`);
+                    if (summary.overflow > 0) {
+                        lines.push(`➕ Listed in an overflow message: ${summary.overflow}`);
+                    }
+                    for (const item of summary.newItems) {
+                        const itemTitle = item.title || 'No Title';
+                        lines.push(`• ${itemTitle.length > 80 ? `${itemTitle.substring(0, 77)}...` : itemTitle}`);
+                    }
+                } else if (summary.queued > 0) {
+                    lines.push(`📥 Queued for digest: ${summary.queued}`);
+                } else {
+                    lines.push(`📬 Posted: ${summary.posted}`);
+                    if (summary.overflow > 0) {
+                        lines.push(`➕ Listed in an overflow message: ${summary.overflow}`);
+                    }
+                    if (summary.posted < summary.newItems.length) {
+                        lines.push(`⚠️ Failed to post: ${summary.newItems.length - summary.posted}`);
+                    }
+                }
+
+                lines.push(`⏱️ ${summary.fetchTime} ms`);
+                value = lines.join('\n');
+            }
+
+            const field = {
+                name: (summary.title || summary.feedUrl).substring(0, 200),
+                value: value.length > 1024 ? `${value.substring(0, 1021)}...` : value,
+                inline: false
+            };
+
+            // Stop before the embed gets too long for Discord
+            if (embedLength + field.name.length + field.value.length > MAX_EMBED_LENGTH) {
+                break;
+            }
+            embedLength += field.name.length + field.value.length;
+
+            summaryEmbed.addFields(field);
+            shown++;
+        }
+
+        summaryEmbed.setDescription(shown < summaries.length
+            ? `${description}\n…and ${summaries.length - shown} more feeds`
+            : description);
+
+        return summaryEmbed;
+    }
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * Edit RSS Command
+ *
+ * This command changes the settings of an RSS feed that is already
+ * subscribed in the current channel. Unlike removing and re-adding the
+ * feed, this keeps its seen items, filters and other settings.
+ *
+ * Usage: !editrss <RSS_URL|number> [--interval <minutes>] [--max-items <number>] [#channel]
+ * Example: !editrss 2 --interval 30 --max-items 10
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const feedBacklog = require('../../utils/feedBacklog');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'editrss',
+    description: 'Change the settings of an existing RSS feed',
+    usage: '<RSS_URL|number> [--interval <minutes>] [--max-items <number>] [#channel]',
+    aliases: ['rssedit', 'updaterss'],
+    category: 'rss',
+    cooldown: 5,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[0]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            // Turn the options into a set of changes
+            let changes;
+            try {
+                changes = this.parseOptions(args.slice(1));
+            } catch (error) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Options')
+                    .setDescription(error.message)
+                    .addFields({
+                        name: 'Usage',
+                        value: `\`${prefix}${this.name} ${this.usage}\``
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const result = await rssManager.updateFeed(targetChannel.id, feedUrl, changes);
+
+            if (result.success) {
+                const feedInfo = result.feedInfo;
+
+                const successEmbed = new EmbedBuilder()
+                    .setColor(0x00FF00)
+                    .setTitle('✅ RSS Feed Updated')
+                    .setDescription(`**${feedInfo.title}** has been updated.`)
+                    .addFields(
+                        {
+                            name: '🔗 Feed URL',
+                            value: feedUrl,
+                            inline: false
+                        },
+                        {
+                            name: '⏰ Check Interval',
+                            value: `${Math.floor(feedInfo.interval / 60000)} minutes`,
+                            inline: true
+                        },
+                        {
+                            name: '📦 Items Per Check',
+                            value: `Up to ${feedInfo.maxItemsPerCheck}`,
+                            inline: true
+                        },
+                        {
+                            name: '📊 Status',
+                            value: feedInfo.active ? '🟢 Active' : (feedInfo.disabledReason === 'paused' ? '⏸️ Paused' : '🔴 Inactive'),
+                            inline: true
+                        }
+                    )
+                    .setTimestamp();
+
+                await message.reply({ embeds: [successEmbed] });
+
+                logger.logRSS('edited', feedUrl, targetChannel.id, `interval ${Math.floor(feedInfo.interval / 60000)}m, max ${feedInfo.maxItemsPerCheck} items (by ${message.author.tag})`);
+
+            } else {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Failed to Update RSS Feed')
+                    .setDescription(result.message)
+                    .setTimestamp();
+
+                await message.reply({ embeds: [errorEmbed] });
+            }
+
+        } catch (error) {
+            logger.error('Error in editrss command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while updating the RSS feed.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Parse `--option value` pairs into feed changes
+     * @param {Array<string>} options - Command arguments after the feed
+     * @returns {Object} Changes for rssManager.updateFeed
+     * @throws {Error} If an option is unknown or has an invalid value
+     */
+    parseOptions(options) {
+        const changes = {};
+
+        for (let i = 0; i < options.length; i++) {
+            const option = options[i].toLowerCase();
+            const value = options[i + 1];
+
+            if (option === '--interval') {
+                const intervalMinutes = parseInt(value);
+                if (isNaN(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > 1440) {
+                    throw new Error('Interval must be a number of minutes between 1 and 1440 (24 hours).');
+                }
+
+                // Convert minutes to milliseconds
+                changes.interval = intervalMinutes * 60 * 1000;
+                i++;
+            } else if (option === '--max-items') {
+                const maxItems = feedBacklog.normalizeMaxItems(value);
+                if (!maxItems || !/^\d+$/.test(value)) {
+                    throw new Error(`Max items must be a number between 1 and ${feedBacklog.MAX_ITEMS_PER_CHECK_LIMIT}.`);
+                }
+
+                changes.maxItemsPerCheck = maxItems;
+                i++;
+            } else {
+                throw new Error(`Unknown option \`${options[i]}\`.`);
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            throw new Error('Please specify at least one setting to change.');
+        }
+
+        return changes;
+    }
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Export RSS Command
+ *
+ * This command exports the RSS feeds of the current channel (or of every
+ * channel in the server) as an OPML file. The file can be imported into
+ * another channel or server with the importrss command, or into most
+ * feed readers.
+ *
+ * The export keeps each feed's title, check interval and the bot's own
+ * settings such as filters, templates, delivery mode and digests.
+ *
+ * Usage: !exportrss [server]
+ * Example: !exportrss server
+ */
+
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const opml = require('../../utils/opml');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'exportrss',
+    description: 'Export the RSS feeds of this channel or server as an OPML file',
+    usage: '[server]',
+    aliases: ['rssexport', 'opmlexport'],
+    category: 'rss',
+    cooldown: 10,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            const scope = (args[0] || 'channel').toLowerCase();
+            const serverWide = ['server', 'guild', 'all'].includes(scope);
+
+            // Collect the feeds of each channel being exported
+            const channels = serverWide
+                ? [...message.guild.channels.cache.values()]
+                : [message.channel];
+
+            const groups = channels
+                .map(channel => ({
+                    title: `#${channel.name}`,
+                    feeds: rssManager.getChannelFeeds(channel.id)
+                }))
+                .filter(group => group.feeds.length > 0);
+
+            const feedCount = groups.reduce((total, group) => total + group.feeds.length, 0);
+
+            if (feedCount === 0) {
+                const noFeedsEmbed = new EmbedBuilder()
+                    .setColor(0xFFAA00)
+                    .setTitle('📰 Nothing to Export')
+                    .setDescription(serverWide
+                        ? 'No RSS feeds are configured in this server.'
+                        : `No RSS feeds are configured for ${message.channel}.`)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [noFeedsEmbed] });
+            }
+
+            const title = serverWide
+                ? `RSS feeds of ${message.guild.name}`
+                : `RSS feeds of #${message.channel.name} (${message.guild.name})`;
+
+            const attachment = new AttachmentBuilder(Buffer.from(opml.buildOpml(title, groups), 'utf8'), {
+                name: serverWide ? `${message.guild.id}-feeds.opml` : `${message.channel.id}-feeds.opml`
+            });
+
+            const exportEmbed = new EmbedBuilder()
+                .setColor(0x00FF00)
+                .setTitle('📤 RSS Feeds Exported')
+                .setDescription(`Exported ${feedCount} feed(s)${groups.length > 1 ? ` from ${groups.length} channels` : ''}.`)
+                .setFooter({
+                    text: `Use ${rssManager.guildSettings.getPrefix(message.guild?.id)}importrss with this file attached to add the feeds to another channel.`
+                })
+                .setTimestamp();
+
+            await message.reply({ embeds: [exportEmbed], files: [attachment] });
+
+            logger.logRSS('exported', `${feedCount} feeds`, message.channel.id, `by ${message.author.tag}`);
+
+        } catch (error) {
+            logger.error('Error in exportrss command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while exporting the RSS feeds.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    }
+};
\ No newline at end of file
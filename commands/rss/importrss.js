@@ -0,0 +1,163 @@
+/**
+ * Import RSS Command
+ *
+ * This command adds every feed of an attached OPML file to the current
+ * channel. Each feed is validated like a feed added with newrss, and the
+ * settings saved by exportrss (interval, filters, templates, delivery
+ * mode and digests) are restored.
+ *
+ * The reply lists which feeds were added and why any others failed.
+ *
+ * Usage: !importrss (with an .opml file attached)
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const opml = require('../../utils/opml');
+const logger = require('../../utils/logger');
+
+// Largest OPML file accepted (1 MB)
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Discord allows up to 4096 characters in an embed description
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+module.exports = {
+    name: 'importrss',
+    description: 'Add all RSS feeds from an attached OPML file to this channel',
+    usage: '(attach an .opml file)',
+    aliases: ['rssimport', 'opmlimport'],
+    category: 'rss',
+    cooldown: 30, // Importing validates every feed, so keep this low-frequency
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            const attachment = message.attachments.first();
+
+            if (!attachment) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ No File Attached')
+                    .setDescription('Please attach an OPML file to your message.')
+                    .addFields({
+                        name: '💡 Tip',
+                        value: `OPML files can be created with \`${rssManager.guildSettings.getPrefix(message.guild?.id)}exportrss\` or exported from most feed readers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            if (attachment.size > MAX_FILE_SIZE) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ File Too Large')
+                    .setDescription('OPML files can be at most 1 MB.')
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            // Download and parse the file
+            let entries;
+            try {
+                const response = await fetch(attachment.url);
+                if (!response.ok) {
+                    throw new Error(`Could not download the file (status code ${response.status})`);
+                }
+                entries = await opml.parseOpml(await response.text());
+            } catch (error) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid OPML File')
+                    .setDescription(error.message)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            if (entries.length === 0) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFFAA00)
+                    .setTitle('📰 Nothing to Import')
+                    .setDescription('The OPML file does not contain any feeds.')
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            // Show loading message
+            const loadingEmbed = new EmbedBuilder()
+                .setColor(0xFFFF00)
+                .setTitle('🔍 Importing RSS Feeds')
+                .setDescription(`Please wait while we validate and add ${entries.length} feed(s)...`)
+                .setTimestamp();
+
+            const loadingMessage = await message.reply({ embeds: [loadingEmbed] });
+
+            // Add the feeds one at a time so they are validated and limited like newrss
+            const lines = [];
+            let added = 0;
+            for (const entry of entries) {
+                const result = await rssManager.importFeed(message.channel.id, entry);
+                const title = (result.success ? result.feedInfo.title : entry.title).substring(0, 100);
+
+                if (result.success) {
+                    added++;
+                    lines.push(`✅ ${title}`);
+                } else {
+                    lines.push(`❌ ${title}: ${result.message}`);
+                }
+            }
+
+            const reportEmbed = new EmbedBuilder()
+                .setColor(added === entries.length ? 0x00FF00 : (added === 0 ? 0xFF0000 : 0xFFAA00))
+                .setTitle('📥 RSS Import Complete')
+                .setDescription(this.buildReport(`Added ${added} of ${entries.length} feed(s) to ${message.channel}.`, lines))
+                .setTimestamp();
+
+            await loadingMessage.edit({ embeds: [reportEmbed] });
+
+            logger.logRSS('imported', `${added}/${entries.length} feeds`, message.channel.id, `by ${message.author.tag}`);
+
+        } catch (error) {
+            logger.error('Error in importrss command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while importing the RSS feeds.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Build the report text, leaving out lines that don't fit in the embed
+     * @param {string} heading - First line of the report
+     * @param {Array<string>} lines - One line per feed
+     * @returns {string} Report text
+     */
+    buildReport(heading, lines) {
+        let report = `${heading}\n`;
+
+        for (let i = 0; i < lines.length; i++) {
+            const remaining = `\n…and ${lines.length - i} more`;
+            if (report.length + lines[i].length + 1 + remaining.length > MAX_DESCRIPTION_LENGTH) {
+                return report + remaining;
+            }
+            report += `\n${lines[i]}`;
+        }
+
+        return report;
+    }
+};
\ No newline at end of file
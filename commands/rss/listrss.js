@@ -4,16 +4,21 @@
  * This command displays all RSS feeds currently configured for the channel.
  * It shows feed information including status, last check time, and intervals.
  * 
- * Usage: !listrss
+ * Usage: !listrss [#channel]
  */
 
 const { EmbedBuilder } = require('discord.js');
 const rssManager = require('../../utils/rssManager');
+const digest = require('../../utils/digest');
+const feedPings = require('../../utils/feedPings');
+const feedHealth = require('../../utils/feedHealth');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
 const logger = require('../../utils/logger');
 
 module.exports = {
     name: 'listrss',
     description: 'List all RSS feeds for this channel',
+    usage: '[#channel]',
     aliases: ['rsslist', 'feeds'],
     category: 'rss',
     cooldown: 5,
@@ -27,17 +32,31 @@ module.exports = {
      */
     async execute(message, args, client) {
         try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message, ['ViewChannel', 'ManageChannels']);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+                
+                return message.reply({ embeds: [errorEmbed] });
+            }
+            
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+            
             // Get feeds for this channel
-            const feeds = rssManager.getChannelFeeds(message.channel.id);
+            const feeds = rssManager.getChannelFeeds(targetChannel.id);
             
             if (feeds.length === 0) {
                 const noFeedsEmbed = new EmbedBuilder()
                     .setColor(0xFFAA00)
                     .setTitle('📰 RSS Feeds')
-                    .setDescription(`No RSS feeds are configured for ${message.channel}.`)
+                    .setDescription(`No RSS feeds are configured for ${targetChannel}.`)
                     .addFields({
                         name: '💡 Add a Feed',
-                        value: `Use \`${process.env.PREFIX || '!'}newrss <URL>\` to add your first RSS feed!`
+                        value: `Use \`${rssManager.guildSettings.getPrefix(message.guild?.id)}newrss <URL>\` to add your first RSS feed!`
                     })
                     .setTimestamp();
                 
@@ -48,7 +67,7 @@ module.exports = {
             const listEmbed = new EmbedBuilder()
                 .setColor(0x0099FF)
                 .setTitle('📰 RSS Feeds')
-                .setDescription(`${feeds.length} RSS feed(s) configured for ${message.channel}`)
+                .setDescription(`${feeds.length} RSS feed(s) configured for ${targetChannel}`)
                 .setTimestamp();
             
             // Add each feed as a field (Discord embeds support up to 25 fields)
@@ -64,6 +83,16 @@ module.exports = {
                     lastChecked = this.formatTimeDifference(timeDiff);
                 }
                 
+                // Show whether the last check worked and how the recent checks went
+                const checks = feed.health.checks;
+                const lastCheck = checks[checks.length - 1];
+                if (lastCheck) {
+                    const duration = lastCheck.duration < 1000 ? `${lastCheck.duration}ms` : `${(lastCheck.duration / 1000).toFixed(1)}s`;
+                    const details = [lastCheck.status, duration].filter(detail => detail).join(', ');
+                    lastChecked += ` (${lastCheck.success ? '✅' : '❌'} ${details})`;
+                }
+                const successRate = feedHealth.getSuccessRate(feed.health);
+                
                 // Format interval
                 const intervalMinutes = Math.floor(feed.interval / 60000);
                 const intervalText = intervalMinutes >= 60 
@@ -71,8 +100,18 @@ module.exports = {
                     : `${intervalMinutes}m`;
                 
                 // Status indicator
-                const statusIcon = feed.active ? '🟢' : '🔴';
-                const statusText = feed.active ? 'Active' : 'Inactive';
+                let statusIcon = feed.active ? '🟢' : '🔴';
+                let statusText = feed.active ? 'Active' : 'Inactive';
+                
+                if (feed.disabledReason === 'failures') {
+                    statusText = 'Disabled (too many failures)';
+                } else if (feed.disabledReason === 'paused') {
+                    statusIcon = '⏸️';
+                    statusText = 'Paused';
+                } else if (feed.active && feed.failureCount > 0) {
+                    statusIcon = '🟠';
+                    statusText = `Failing (${feed.failureCount} in a row)`;
+                }
                 
                 // Create field value
                 const fieldValue = [
@@ -80,6 +119,15 @@ module.exports = {
                     `**Status:** ${statusIcon} ${statusText}`,
                     `**Interval:** ${intervalText}`,
                     `**Last Check:** ${lastChecked}`,
+                    successRate !== null ? `**Success Rate:** ${Math.round(successRate * 100)}% of the last ${checks.length} checks` : '',
+                    feed.nextCheck ? `**Next Check:** <t:${Math.floor(feed.nextCheck.getTime() / 1000)}:R>` : '',
+                    feed.lastError ? `**Last Error:** ${this.truncateText(feed.lastError, 100)}` : '',
+                    feed.delivery === 'webhook' ? '**Delivery:** Webhook (feed name and image)' : '',
+                    feed.postMode === 'forum' ? `**Posting:** Forum post per item (${Object.keys(feed.forumTags).length} tag mappings)` : '',
+                    feed.postMode === 'thread' ? '**Posting:** Message with a discussion thread' : '',
+                    feed.digest ? `**Digest:** ${digest.describeSchedule(feed.digest)} (${feed.queuedItems} queued)` : '',
+                    feed.filters?.rules.length ? `**Filters:** ${feed.filters.rules.length} (match ${feed.filters.match})` : '',
+                    feed.pings?.length ? `**Pings:** ${this.truncateText(feed.pings.map(ping => feedPings.describePing(ping)).join('; '), 200)}` : '',
                     feed.description ? `**Description:** ${this.truncateText(feed.description, 100)}` : ''
                 ].filter(line => line).join('\n');
                 
@@ -97,7 +145,7 @@ module.exports = {
                 });
             } else {
                 listEmbed.setFooter({
-                    text: `Use ${process.env.PREFIX || '!'}removerss <URL> to remove a feed`
+                    text: `Use ${rssManager.guildSettings.getPrefix(message.guild?.id)}removerss <URL> to remove a feed`
                 });
             }
             
@@ -0,0 +1,85 @@
+/**
+ * Migrate Storage Command
+ *
+ * This command copies all of the bot's data (feeds, configuration, seen
+ * items, digests, history, schedule and HTTP cache) from the storage it
+ * currently uses into another storage backend, e.g. from the JSON files
+ * into the SQLite database.
+ *
+ * The bot keeps running on its current storage. To switch over, set the
+ * STORAGE environment variable to the new backend and restart the bot.
+ *
+ * Usage: !migratestorage [json|sqlite]
+ * Example: !migratestorage sqlite
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'migratestorage',
+    description: 'Copy the bot\'s data into another storage backend (JSON files or SQLite)',
+    usage: '[json|sqlite]',
+    aliases: ['rssmigrate'],
+    category: 'rss',
+    cooldown: 30,
+    ownerOnly: true, // Affects the whole bot, not just this server
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            const targetType = (args[0] || 'sqlite').toLowerCase();
+
+            const result = await rssManager.migrateStorage(targetType);
+
+            if (!result.success) {
+                const failEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Migration Failed')
+                    .setDescription(result.message)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [failEmbed] });
+            }
+
+            const copiedList = result.copied.length > 0
+                ? result.copied.map(entry => `**${entry.collection}**: ${entry.rows} row(s)`).join('\n')
+                : 'There was no data to copy.';
+
+            const successEmbed = new EmbedBuilder()
+                .setColor(0x00FF00)
+                .setTitle('🗄️ Storage Migrated')
+                .setDescription(`${result.message}.`)
+                .addFields(
+                    { name: 'Copied', value: copiedList, inline: false },
+                    {
+                        name: 'Next Step',
+                        value: `Set \`STORAGE=${targetType}\` in your \`.env\` file and restart the bot to start using it.`,
+                        inline: false
+                    }
+                )
+                .setTimestamp();
+
+            await message.reply({ embeds: [successEmbed] });
+
+            logger.info(`Storage migrated to ${targetType} by ${message.author.tag}`);
+
+        } catch (error) {
+            logger.error('Error in migratestorage command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while migrating the storage.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    }
+};
\ No newline at end of file
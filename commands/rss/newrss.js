@@ -4,18 +4,31 @@
  * This command allows users to add a new RSS feed to the current channel.
  * The bot will automatically check this feed for updates and post new items.
  * 
- * Usage: !newrss <RSS_URL> [interval_in_minutes]
- * Example: !newrss https://example.com/feed.xml 15
+ * If a website URL is given instead of a feed URL, the bot looks for the
+ * site's feeds and asks which one to add when it finds more than one.
+ * 
+ * Mention a channel to add the feed there instead, e.g. a forum channel
+ * (where every item becomes its own forum post).
+ * 
+ * The first check posts the newest 5 items unless `--backfill` says
+ * otherwise: `none`, a number of items, or a date to post everything
+ * published since. `--max-items` limits how many items one check posts;
+ * anything over the limit is listed in a single overflow message.
+ * 
+ * Usage: !newrss <RSS_URL> [interval_in_minutes] [#channel] [--backfill <none|number|date>] [--max-items <number>]
+ * Example: !newrss https://example.com/feed.xml 15 --backfill 2024-05-01
  */
 
 const { EmbedBuilder } = require('discord.js');
 const rssManager = require('../../utils/rssManager');
+const feedBacklog = require('../../utils/feedBacklog');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
 const logger = require('../../utils/logger');
 
 module.exports = {
     name: 'newrss',
     description: 'Add a new RSS feed to this channel',
-    usage: '<RSS_URL> [interval_in_minutes]',
+    usage: '<RSS_URL> [interval_in_minutes] [#channel] [--backfill <none|number|date>] [--max-items <number>]',
     aliases: ['addrss', 'rssnew'],
     category: 'rss',
     cooldown: 10, // 10 second cooldown to prevent spam
@@ -31,6 +44,48 @@ module.exports = {
      */
     async execute(message, args, client) {
         try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+                
+                return message.reply({ embeds: [errorEmbed] });
+            }
+            
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+            
+            if (!targetChannel.isTextBased() && !rssManager.isForumChannel(targetChannel)) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription('Feeds can only be added to text, announcement and forum channels.')
+                    .setTimestamp();
+                
+                return message.reply({ embeds: [errorEmbed] });
+            }
+            
+            // Split off the backlog options
+            let backlogOptions;
+            try {
+                ({ args, options: backlogOptions } = this.parseOptions(args));
+            } catch (error) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Options')
+                    .setDescription(error.message)
+                    .addFields({
+                        name: 'Usage',
+                        value: `\`${rssManager.guildSettings.getPrefix(message.guild?.id)}${this.name} ${this.usage}\``
+                    })
+                    .setTimestamp();
+                
+                return message.reply({ embeds: [errorEmbed] });
+            }
+            
             // Get the RSS URL from arguments
             const feedUrl = args[0];
             
@@ -42,7 +97,7 @@ module.exports = {
                     .setDescription('Please provide a valid RSS feed URL.')
                     .addFields({
                         name: 'Usage',
-                        value: `\`${process.env.PREFIX || '!'}${this.name} ${this.usage}\``
+                        value: `\`${rssManager.guildSettings.getPrefix(message.guild?.id)}${this.name} ${this.usage}\``
                     })
                     .setTimestamp();
                 
@@ -90,14 +145,24 @@ module.exports = {
             const loadingMessage = await message.reply({ embeds: [loadingEmbed] });
             
             // Add the RSS feed using the RSS manager
-            const result = await rssManager.addFeed(message.channel.id, feedUrl, interval);
+            let result = await rssManager.addFeed(targetChannel.id, feedUrl, interval, backlogOptions);
+            
+            // The URL was a web page with several feeds, so let the user pick one
+            if (!result.success && result.candidates) {
+                const choice = await this.pickCandidate(message, loadingMessage, result.candidates);
+                if (!choice) {
+                    return;
+                }
+                
+                result = await rssManager.addFeed(targetChannel.id, choice.url, interval, backlogOptions);
+            }
             
             if (result.success) {
                 // Success embed
                 const successEmbed = new EmbedBuilder()
                     .setColor(0x00FF00)
                     .setTitle('✅ RSS Feed Added Successfully')
-                    .setDescription(`The RSS feed has been added to ${message.channel}.`)
+                    .setDescription(`The RSS feed has been added to ${targetChannel}.`)
                     .addFields(
                         {
                             name: '📰 Feed Title',
@@ -106,7 +171,9 @@ module.exports = {
                         },
                         {
                             name: '🔗 Feed URL',
-                            value: feedUrl,
+                            value: result.discoveredFrom
+                                ? `${result.feedInfo.url}\n(found on ${result.discoveredFrom})`
+                                : result.feedInfo.url,
                             inline: false
                         },
                         {
@@ -114,6 +181,11 @@ module.exports = {
                             value: `${Math.floor((result.feedInfo.interval || 300000) / 60000)} minutes`,
                             inline: true
                         },
+                        {
+                            name: '📦 First Check',
+                            value: `${feedBacklog.describeBackfill(result.feedInfo.backfill)}, up to ${result.feedInfo.maxItemsPerCheck} per check`,
+                            inline: true
+                        },
                         {
                             name: '📝 Description',
                             value: result.feedInfo.description || 'No description available',
@@ -129,7 +201,7 @@ module.exports = {
                 await loadingMessage.edit({ embeds: [successEmbed] });
                 
                 // Log the successful addition
-                logger.logRSS('added', feedUrl, message.channel.id, `by ${message.author.tag}`);
+                logger.logRSS('added', result.feedInfo.url, targetChannel.id, `by ${message.author.tag}`);
                 
             } else {
                 // Error embed
@@ -150,7 +222,7 @@ module.exports = {
                 await loadingMessage.edit({ embeds: [errorEmbed] });
                 
                 // Log the failed attempt
-                logger.logRSS('add-failed', feedUrl, message.channel.id, `${result.message} (by ${message.author.tag})`);
+                logger.logRSS('add-failed', feedUrl, targetChannel.id, `${result.message} (by ${message.author.tag})`);
             }
             
         } catch (error) {
@@ -171,6 +243,94 @@ module.exports = {
         }
     },
     
+    /**
+     * Split `--backfill` and `--max-items` options from the other arguments
+     * @param {Array<string>} args - Command arguments
+     * @returns {Object} `{ args, options }` with the remaining arguments and the
+     *                   options for rssManager.addFeed
+     * @throws {Error} If an option has an invalid value
+     */
+    parseOptions(args) {
+        const remaining = [];
+        const options = {};
+        
+        for (let i = 0; i < args.length; i++) {
+            const option = args[i].toLowerCase();
+            const value = args[i + 1];
+            
+            if (option === '--backfill') {
+                options.backfill = feedBacklog.parseBackfill(value);
+                i++;
+            } else if (option === '--max-items') {
+                const maxItems = feedBacklog.normalizeMaxItems(value);
+                if (!maxItems || !/^\d+$/.test(value)) {
+                    throw new Error(`Max items must be a number between 1 and ${feedBacklog.MAX_ITEMS_PER_CHECK_LIMIT}.`);
+                }
+                
+                options.maxItemsPerCheck = maxItems;
+                i++;
+            } else {
+                remaining.push(args[i]);
+            }
+        }
+        
+        return { args: remaining, options: options };
+    },
+    
+    /**
+     * Ask the user to choose one of the feeds discovered on a web page
+     * @param {Message} message - Discord message object
+     * @param {Message} loadingMessage - Bot reply to show the list in
+     * @param {Array<Object>} candidates - Discovered feeds `{ url, title }`
+     * @returns {Object|null} The chosen feed, or null if the user didn't choose
+     */
+    async pickCandidate(message, loadingMessage, candidates) {
+        const list = candidates
+            .map((candidate, index) => `**${index + 1}.** ${candidate.title.substring(0, 100)}\n${candidate.url}`)
+            .join('\n\n');
+        
+        const pickEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('📰 Several Feeds Found')
+            .setDescription(`This web page offers ${candidates.length} feeds. Reply with the number of the feed to add:\n\n${list}`)
+            .setFooter({
+                text: 'This request expires in 60 seconds. Reply "cancel" to stop.'
+            })
+            .setTimestamp();
+        
+        await loadingMessage.edit({ embeds: [pickEmbed] });
+        
+        // Wait for a number (or "cancel") from the user who ran the command
+        const filter = reply => reply.author.id === message.author.id &&
+            (/^\d+$/.test(reply.content.trim()) || reply.content.trim().toLowerCase() === 'cancel');
+        
+        const replies = await message.channel.awaitMessages({ filter, max: 1, time: 60000 });
+        const reply = replies.first();
+        const index = reply ? parseInt(reply.content.trim()) - 1 : -1;
+        
+        if (!reply || !candidates[index]) {
+            const cancelEmbed = new EmbedBuilder()
+                .setColor(0xFFAA00)
+                .setTitle('⏹️ No Feed Added')
+                .setDescription(reply && reply.content.trim().toLowerCase() !== 'cancel'
+                    ? `Please choose a number between 1 and ${candidates.length}. Run the command again to retry.`
+                    : 'No feed was chosen, so nothing was added.')
+                .setTimestamp();
+            
+            await loadingMessage.edit({ embeds: [cancelEmbed] });
+            return null;
+        }
+        
+        const addingEmbed = new EmbedBuilder()
+            .setColor(0xFFFF00)
+            .setTitle('🔍 Adding RSS Feed')
+            .setDescription(`Please wait while we add **${candidates[index].title.substring(0, 100)}**...`)
+            .setTimestamp();
+        
+        await loadingMessage.edit({ embeds: [addingEmbed] });
+        return candidates[index];
+    },
+    
     /**
      * Basic URL validation
      * @param {string} url - URL to validate
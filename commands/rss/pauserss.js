@@ -0,0 +1,117 @@
+/**
+ * Pause RSS Command
+ *
+ * This command pauses an RSS feed in the current channel. The feed keeps
+ * all of its settings and seen items, and can be resumed at any time with
+ * the resumerss command.
+ *
+ * Usage: !pauserss <RSS_URL|number> [#channel]
+ * Example: !pauserss 2
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'pauserss',
+    description: 'Pause an RSS feed without removing it',
+    usage: '<RSS_URL|number> [#channel]',
+    aliases: ['rsspause', 'stoprss'],
+    category: 'rss',
+    cooldown: 5,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[0]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const result = await rssManager.setFeedActive(targetChannel.id, feedUrl, false);
+
+            if (result.success) {
+                const successEmbed = new EmbedBuilder()
+                    .setColor(0xFFAA00)
+                    .setTitle('⏸️ RSS Feed Paused')
+                    .setDescription(`**${result.feedInfo.title}** will not be checked until it is resumed.`)
+                    .addFields(
+                        {
+                            name: '🔗 Feed URL',
+                            value: feedUrl,
+                            inline: false
+                        },
+                        {
+                            name: '📊 Status',
+                            value: '⏸️ Paused',
+                            inline: true
+                        }
+                    )
+                    .setFooter({
+                        text: `Use ${prefix}resumerss to start checking this feed again.`
+                    })
+                    .setTimestamp();
+
+                await message.reply({ embeds: [successEmbed] });
+
+                logger.logRSS('paused', feedUrl, targetChannel.id, `by ${message.author.tag}`);
+
+            } else {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Failed to Pause RSS Feed')
+                    .setDescription(result.message)
+                    .setTimestamp();
+
+                await message.reply({ embeds: [errorEmbed] });
+            }
+
+        } catch (error) {
+            logger.error('Error in pauserss command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while pausing the RSS feed.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    }
+};
\ No newline at end of file
@@ -4,18 +4,19 @@
  * This command allows users to remove an RSS feed from the current channel.
  * The bot will stop checking and posting updates from the specified feed.
  * 
- * Usage: !removerss <RSS_URL>
+ * Usage: !removerss <RSS_URL> [#channel]
  * Example: !removerss https://example.com/feed.xml
  */
 
 const { EmbedBuilder } = require('discord.js');
 const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
 const logger = require('../../utils/logger');
 
 module.exports = {
     name: 'removerss',
     description: 'Remove an RSS feed from this channel',
-    usage: '<RSS_URL>',
+    usage: '<RSS_URL> [#channel]',
     aliases: ['delrss', 'rssrem'],
     category: 'rss',
     cooldown: 5,
@@ -31,6 +32,20 @@ module.exports = {
      */
     async execute(message, args, client) {
         try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+                
+                return message.reply({ embeds: [errorEmbed] });
+            }
+            
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+            
             // Get the RSS URL from arguments
             const feedUrl = args[0];
             
@@ -42,7 +57,7 @@ module.exports = {
                     .setDescription('Please provide a valid RSS feed URL.')
                     .addFields({
                         name: 'Usage',
-                        value: `\`${process.env.PREFIX || '!'}${this.name} ${this.usage}\``
+                        value: `\`${rssManager.guildSettings.getPrefix(message.guild?.id)}${this.name} ${this.usage}\``
                     })
                     .setTimestamp();
                 
@@ -59,14 +74,14 @@ module.exports = {
             const loadingMessage = await message.reply({ embeds: [loadingEmbed] });
             
             // Remove the RSS feed using the RSS manager
-            const result = await rssManager.removeFeed(message.channel.id, feedUrl);
+            const result = await rssManager.removeFeed(targetChannel.id, feedUrl);
             
             if (result.success) {
                 // Success embed
                 const successEmbed = new EmbedBuilder()
                     .setColor(0x00FF00)
                     .setTitle('✅ RSS Feed Removed Successfully')
-                    .setDescription(`The RSS feed has been removed from ${message.channel}.`)
+                    .setDescription(`The RSS feed has been removed from ${targetChannel}.`)
                     .addFields(
                         {
                             name: '🔗 Removed Feed',
@@ -88,7 +103,7 @@ module.exports = {
                 await loadingMessage.edit({ embeds: [successEmbed] });
                 
                 // Log the successful removal
-                logger.logRSS('removed', feedUrl, message.channel.id, `by ${message.author.tag}`);
+                logger.logRSS('removed', feedUrl, targetChannel.id, `by ${message.author.tag}`);
                 
             } else {
                 // Error embed
@@ -101,7 +116,7 @@ module.exports = {
                         value: '• Feed URL might not exist in this channel\n• URL might be incorrect or mistyped\n• Feed might have already been removed'
                     })
                     .setFooter({
-                        text: `Use ${process.env.PREFIX || '!'}listrss to see all active feeds in this channel.`
+                        text: `Use ${rssManager.guildSettings.getPrefix(message.guild?.id)}listrss to see all active feeds in this channel.`
                     })
                     .setTimestamp();
                 
@@ -109,7 +124,7 @@ module.exports = {
                 await loadingMessage.edit({ embeds: [errorEmbed] });
                 
                 // Log the failed attempt
-                logger.logRSS('remove-failed', feedUrl, message.channel.id, `${result.message} (by ${message.author.tag})`);
+                logger.logRSS('remove-failed', feedUrl, targetChannel.id, `${result.message} (by ${message.author.tag})`);
             }
             
         } catch (error) {
@@ -0,0 +1,206 @@
+/**
+ * Restore Command
+ *
+ * This command replaces every feed subscription and the bot configuration
+ * with those of a backup. The backup can be an archive attached to the
+ * message (created with the backup command) or one of the snapshots the
+ * bot saves in its `backups/` directory.
+ *
+ * The archive is validated first, and the command shows what would be
+ * added, removed and changed. Nothing is restored until the user replies
+ * "confirm". Feed checking and digests are restarted afterwards.
+ *
+ * Usage: !restore [snapshot name|latest] (or with an archive attached)
+ * Example: !restore latest
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const backups = require('../../utils/backups');
+const logger = require('../../utils/logger');
+
+// Largest archive accepted (5 MB)
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Most entries listed per section of the diff
+const MAX_LISTED_CHANGES = 10;
+
+// Discord allows up to 1024 characters in an embed field
+const MAX_FIELD_LENGTH = 1024;
+
+module.exports = {
+    name: 'restore',
+    description: 'Restore all feeds and the bot configuration from a backup',
+    usage: '[snapshot name|latest] (or attach a backup archive)',
+    aliases: ['rssrestore'],
+    category: 'rss',
+    cooldown: 30,
+    ownerOnly: true, // Replaces the feeds of every server
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+            const attachment = message.attachments.first();
+
+            if (!attachment && args.length === 0) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ No Backup Given')
+                    .setDescription('Please attach a backup archive, or give the name of a saved snapshot.')
+                    .addFields({
+                        name: '💡 Tip',
+                        value: `Archives are created with \`${prefix}backup\`, and \`${prefix}backup list\` shows the saved snapshots.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            // Load and validate the backup
+            let snapshot;
+            try {
+                const archive = attachment
+                    ? await this.downloadArchive(attachment)
+                    : await backups.readSnapshot(rssManager.backupsPath, args[0]);
+
+                if (!archive) {
+                    throw new Error(`No snapshot named "${args[0]}" was found. Use \`${prefix}backup list\` to see the saved snapshots.`);
+                }
+
+                snapshot = await backups.readArchive(archive);
+            } catch (error) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Backup')
+                    .setDescription(error.message)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const diff = rssManager.previewRestore(snapshot);
+            const changeCount = diff.added.length + diff.removed.length + diff.changed.length + diff.config.length;
+
+            if (changeCount === 0) {
+                const sameEmbed = new EmbedBuilder()
+                    .setColor(0xFFAA00)
+                    .setTitle('🔁 Nothing to Restore')
+                    .setDescription('The backup contains the same feeds and configuration the bot is using now.')
+                    .setTimestamp();
+
+                return message.reply({ embeds: [sameEmbed] });
+            }
+
+            const previewEmbed = new EmbedBuilder()
+                .setColor(0xFFAA00)
+                .setTitle('⚠️ Restore Backup?')
+                .setDescription(`This backup was created <t:${Math.floor(new Date(snapshot.createdAt).getTime() / 1000)}:f>. Restoring it makes these changes:`)
+                .addFields(this.buildDiffFields(diff))
+                .setFooter({
+                    text: 'Reply "confirm" within 60 seconds to restore, or "cancel" to stop.'
+                })
+                .setTimestamp();
+
+            const previewMessage = await message.reply({ embeds: [previewEmbed] });
+
+            // Wait for "confirm" (or "cancel") from the user who ran the command
+            const filter = reply => reply.author.id === message.author.id &&
+                ['confirm', 'cancel'].includes(reply.content.trim().toLowerCase());
+
+            const replies = await message.channel.awaitMessages({ filter, max: 1, time: 60000 });
+            const reply = replies.first();
+
+            if (!reply || reply.content.trim().toLowerCase() !== 'confirm') {
+                const cancelEmbed = new EmbedBuilder()
+                    .setColor(0xFFAA00)
+                    .setTitle('⏹️ Restore Cancelled')
+                    .setDescription('Nothing was changed.')
+                    .setTimestamp();
+
+                return previewMessage.edit({ embeds: [cancelEmbed] });
+            }
+
+            const result = await rssManager.restoreBackup(snapshot);
+
+            const resultEmbed = new EmbedBuilder()
+                .setColor(result.success ? 0x00FF00 : 0xFF0000)
+                .setTitle(result.success ? '♻️ Backup Restored' : '❌ Restore Failed')
+                .setDescription(result.message)
+                .setTimestamp();
+
+            await previewMessage.edit({ embeds: [resultEmbed] });
+
+            if (result.success) {
+                logger.info(`Backup from ${snapshot.createdAt} restored by ${message.author.tag}`);
+            }
+
+        } catch (error) {
+            logger.error('Error in restore command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while restoring the backup.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Download an attached archive
+     * @param {Attachment} attachment - Discord attachment
+     * @returns {Buffer} Archive contents
+     * @throws {Error} If the file is too large or can't be downloaded
+     */
+    async downloadArchive(attachment) {
+        if (attachment.size > MAX_FILE_SIZE) {
+            throw new Error('Backup archives can be at most 5 MB.');
+        }
+
+        const response = await fetch(attachment.url);
+        if (!response.ok) {
+            throw new Error(`Could not download the file (status code ${response.status})`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    },
+
+    /**
+     * Build the embed fields describing a diff
+     * @param {Object} diff - Differences from rssManager.previewRestore
+     * @returns {Array<Object>} Embed fields
+     */
+    buildDiffFields(diff) {
+        const formatFeed = entry => `<#${entry.channelId}> ${entry.title.substring(0, 80)}`;
+        const formatSetting = entry => `\`${entry.key}\`: ${JSON.stringify(entry.from)} → ${JSON.stringify(entry.to)}`;
+
+        const sections = [
+            { name: '➕ Feeds Added', entries: diff.added, format: formatFeed },
+            { name: '➖ Feeds Removed', entries: diff.removed, format: formatFeed },
+            { name: '✏️ Feeds Changed', entries: diff.changed, format: formatFeed },
+            { name: '⚙️ Settings Changed', entries: diff.config, format: formatSetting }
+        ];
+
+        return sections
+            .filter(section => section.entries.length > 0)
+            .map(section => {
+                let value = section.entries.slice(0, MAX_LISTED_CHANGES).map(section.format).join('\n');
+                if (section.entries.length > MAX_LISTED_CHANGES) {
+                    value += `\n…and ${section.entries.length - MAX_LISTED_CHANGES} more`;
+                }
+
+                return {
+                    name: `${section.name} (${section.entries.length})`,
+                    value: value.length > MAX_FIELD_LENGTH ? `${value.substring(0, MAX_FIELD_LENGTH - 3)}...` : value,
+                    inline: false
+                };
+            });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Resume RSS Command
+ *
+ * This command resumes a paused RSS feed in the current channel. It also
+ * re-enables feeds that were disabled after repeated failures. Items
+ * published while the feed was paused are posted on the next check.
+ *
+ * Usage: !resumerss <RSS_URL|number> [#channel]
+ * Example: !resumerss 2
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'resumerss',
+    description: 'Resume a paused RSS feed',
+    usage: '<RSS_URL|number> [#channel]',
+    aliases: ['rssresume', 'startrss'],
+    category: 'rss',
+    cooldown: 5,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[0]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const result = await rssManager.setFeedActive(targetChannel.id, feedUrl, true);
+
+            if (result.success) {
+                const successEmbed = new EmbedBuilder()
+                    .setColor(0x00FF00)
+                    .setTitle('▶️ RSS Feed Resumed')
+                    .setDescription(`**${result.feedInfo.title}** is being checked for updates again.`)
+                    .addFields(
+                        {
+                            name: '🔗 Feed URL',
+                            value: feedUrl,
+                            inline: false
+                        },
+                        {
+                            name: '📊 Status',
+                            value: '🟢 Active',
+                            inline: true
+                        }
+                    )
+                    .setFooter({
+                        text: `Use ${prefix}pauserss to pause this feed again.`
+                    })
+                    .setTimestamp();
+
+                await message.reply({ embeds: [successEmbed] });
+
+                logger.logRSS('resumed', feedUrl, targetChannel.id, `by ${message.author.tag}`);
+
+            } else {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Failed to Resume RSS Feed')
+                    .setDescription(result.message)
+                    .setTimestamp();
+
+                await message.reply({ embeds: [errorEmbed] });
+            }
+
+        } catch (error) {
+            logger.error('Error in resumerss command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while resuming the RSS feed.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    }
+};
\ No newline at end of file
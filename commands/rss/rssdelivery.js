@@ -0,0 +1,124 @@
+/**
+ * RSS Delivery Command
+ *
+ * This command chooses how the items of a feed are posted:
+ * - bot: posted by the bot itself (default)
+ * - webhook: posted through a channel webhook under the feed's own
+ *   title and image, so every feed in a channel looks different
+ *
+ * The webhook is created automatically when needed and deleted when the
+ * last webhook-mode feed of the channel is switched back or removed.
+ *
+ * Usage: !rssdelivery <feed_URL|number> <bot|webhook> [#channel]
+ * Example: !rssdelivery 2 webhook
+ */
+
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'rssdelivery',
+    description: 'Post a feed as the bot or under its own name via a webhook',
+    usage: '<feed_URL|number> <bot|webhook> [#channel]',
+    aliases: ['rsswebhook', 'deliveryrss'],
+    category: 'rss',
+    cooldown: 5,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+            const delivery = (args[1] || '').toLowerCase();
+
+            if (!['bot', 'webhook'].includes(delivery)) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Delivery Mode')
+                    .setDescription('Choose `bot` to post as the bot or `webhook` to post under the feed\'s own name and image.')
+                    .addFields({
+                        name: 'Usage',
+                        value: `\`${prefix}${this.name} ${this.usage}\``
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[0]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            // The bot needs to manage webhooks to create one for the channel
+            const botPermissions = targetChannel.permissionsFor(client.user);
+            if (delivery === 'webhook' && !botPermissions?.has(PermissionFlagsBits.ManageWebhooks)) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Missing Permission')
+                    .setDescription(`I need the **Manage Webhooks** permission in ${targetChannel} to use webhook delivery.`)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const result = await rssManager.setFeedDelivery(targetChannel.id, feedUrl, delivery);
+
+            const resultEmbed = new EmbedBuilder()
+                .setColor(result.success ? 0x00FF00 : 0xFF0000)
+                .setTitle(result.success ? '✅ Delivery Mode Updated' : '❌ Failed to Update Delivery Mode')
+                .setDescription(result.message)
+                .setTimestamp();
+
+            await message.reply({ embeds: [resultEmbed] });
+
+            if (result.success) {
+                logger.logRSS(`delivery-${delivery}`, feedUrl, targetChannel.id, `by ${message.author.tag}`);
+            }
+
+        } catch (error) {
+            logger.error('Error in rssdelivery command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while updating the delivery mode.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * RSS Digest Command
+ *
+ * This command switches a feed between posting each item as it arrives
+ * and collecting items into a scheduled digest. Digests list the titles
+ * and links of all items that arrived since the previous digest.
+ *
+ * Usage:
+ *   !rssdigest <feed> show
+ *   !rssdigest <feed> hourly
+ *   !rssdigest <feed> daily <HH:MM> [timezone]
+ *   !rssdigest <feed> weekly <day> <HH:MM> [timezone]
+ *   !rssdigest <feed> now
+ *   !rssdigest <feed> off
+ *
+ * <feed> is either the feed URL or its number from !listrss.
+ * Mention a channel to manage a feed of that channel instead, e.g. a forum channel.
+ * Example: !rssdigest 1 daily 08:00 Europe/Berlin
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const digest = require('../../utils/digest');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'rssdigest',
+    description: 'Batch new items of a feed into scheduled digests',
+    usage: '<feed_URL|number> <show|hourly|daily HH:MM [timezone]|weekly <day> HH:MM [timezone]|now|off> [#channel]',
+    aliases: ['digestrss', 'rsssummary'],
+    category: 'rss',
+    cooldown: 5,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[0]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const feedInfo = rssManager.getFeed(targetChannel.id, feedUrl);
+            const action = (args[1] || 'show').toLowerCase();
+
+            if (action === 'show') {
+                const queued = rssManager.digestQueue.get(targetChannel.id, feedUrl).length;
+
+                const showEmbed = new EmbedBuilder()
+                    .setColor(0x0099FF)
+                    .setTitle(`📬 Digest: ${feedInfo.title.substring(0, 200)}`)
+                    .addFields(
+                        { name: '⏰ Schedule', value: digest.describeSchedule(feedInfo.digest), inline: false },
+                        { name: '📥 Queued Items', value: `${queued}`, inline: true }
+                    )
+                    .setFooter({
+                        text: `Usage: ${prefix}${this.name} ${this.usage}`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [showEmbed] });
+            }
+
+            if (action === 'now') {
+                if (!feedInfo.digest) {
+                    return this.replyResult(message, false, 'This feed is not in digest mode.');
+                }
+
+                const posted = await rssManager.sendDigest(targetChannel.id, feedUrl);
+                return this.replyResult(message, true, posted > 0
+                    ? `Posted a digest of ${posted} items.`
+                    : 'There are no queued items to post yet.');
+            }
+
+            let schedule = null;
+            if (action !== 'off') {
+                try {
+                    schedule = digest.parseSchedule(args.slice(1));
+                } catch (error) {
+                    return this.replyResult(message, false, error.message);
+                }
+            }
+
+            const result = await rssManager.setFeedDigest(targetChannel.id, feedUrl, schedule);
+            await this.replyResult(message, result.success, result.message);
+
+            if (result.success) {
+                logger.logRSS('digest-updated', feedUrl, targetChannel.id, `${digest.describeSchedule(schedule)} (by ${message.author.tag})`);
+            }
+
+        } catch (error) {
+            logger.error('Error in rssdigest command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while updating the digest settings.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Reply with a success or failure embed
+     * @param {Message} message - Discord message object
+     * @param {boolean} success - Whether the action succeeded
+     * @param {string} text - Result message
+     */
+    replyResult(message, success, text) {
+        const resultEmbed = new EmbedBuilder()
+            .setColor(success ? 0x00FF00 : 0xFF0000)
+            .setTitle(success ? '✅ Digest Updated' : '❌ Digest Error')
+            .setDescription(text)
+            .setTimestamp();
+
+        return message.reply({ embeds: [resultEmbed] });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,278 @@
+/**
+ * RSS Filter Command
+ *
+ * This command manages the keyword and regex filters of a feed in the
+ * current channel. Only items that pass the filters are posted; filtered
+ * items are still remembered so they won't show up later.
+ *
+ * Usage:
+ *   !rssfilter add <feed> <include|exclude> <keyword|/regex/flags> [--fields title,description,categories,author]
+ *   !rssfilter list <feed>
+ *   !rssfilter remove <feed> <filter_number>
+ *   !rssfilter match <feed> <any|all>
+ *   !rssfilter test <feed> [item_count]
+ *
+ * <feed> is either the feed URL or its number from !listrss.
+ * Mention a channel to manage a feed of that channel instead, e.g. a forum channel.
+ * Example: !rssfilter add 1 exclude /sponsored|advert/i --fields title
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const feedFilters = require('../../utils/feedFilters');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'rssfilter',
+    description: 'Manage keyword and regex filters for a feed',
+    usage: '<add|list|remove|match|test> <feed_URL|number> [options] [#channel]',
+    aliases: ['rssfilters', 'filterrss'],
+    category: 'rss',
+    cooldown: 3,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+            const action = (args[0] || '').toLowerCase();
+
+            if (!['add', 'list', 'remove', 'match', 'test'].includes(action) || !args[1]) {
+                return message.reply({ embeds: [this.createUsageEmbed(prefix)] });
+            }
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[1]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[1]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const feedInfo = rssManager.getFeed(targetChannel.id, feedUrl);
+            const options = args.slice(2);
+
+            switch (action) {
+                case 'add':
+                    return this.addFilter(message, targetChannel, feedUrl, options);
+                case 'remove':
+                    return this.removeFilter(message, targetChannel, feedUrl, options);
+                case 'match':
+                    return this.setMatch(message, targetChannel, feedUrl, options);
+                case 'test':
+                    return this.testFilters(message, feedUrl, feedInfo, options);
+                default:
+                    return message.reply({ embeds: [this.createListEmbed(feedInfo)] });
+            }
+
+        } catch (error) {
+            logger.error('Error in rssfilter command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while managing feed filters.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Add a filter rule to a feed
+     * @param {Message} message - Discord message object
+     * @param {Channel} channel - Channel of the feed
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Array} options - Remaining arguments
+     */
+    async addFilter(message, channel, feedUrl, options) {
+        const type = (options[0] || '').toLowerCase();
+        const rest = options.slice(1);
+
+        // Split off the optional --fields flag; everything else is the pattern
+        let fields;
+        const fieldsIndex = rest.indexOf('--fields');
+        if (fieldsIndex !== -1) {
+            fields = (rest[fieldsIndex + 1] || '').toLowerCase().split(',').filter(field => field);
+            rest.splice(fieldsIndex, 2);
+        }
+
+        let rule;
+        try {
+            rule = feedFilters.createRule(type, rest.join(' '), fields);
+        } catch (error) {
+            return message.reply({ embeds: [this.createResultEmbed(false, error.message)] });
+        }
+
+        const result = await rssManager.addFeedFilter(channel.id, feedUrl, rule);
+        return message.reply({ embeds: [this.createResultEmbed(result.success, result.message)] });
+    },
+
+    /**
+     * Remove a filter rule from a feed
+     * @param {Message} message - Discord message object
+     * @param {Channel} channel - Channel of the feed
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Array} options - Remaining arguments
+     */
+    async removeFilter(message, channel, feedUrl, options) {
+        const ruleNumber = parseInt(options[0]);
+        const result = await rssManager.removeFeedFilter(channel.id, feedUrl, ruleNumber);
+
+        return message.reply({ embeds: [this.createResultEmbed(result.success, result.message)] });
+    },
+
+    /**
+     * Set how the include rules of a feed are combined
+     * @param {Message} message - Discord message object
+     * @param {Channel} channel - Channel of the feed
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Array} options - Remaining arguments
+     */
+    async setMatch(message, channel, feedUrl, options) {
+        const match = (options[0] || '').toLowerCase();
+        const result = await rssManager.setFeedFilterMatch(channel.id, feedUrl, match);
+
+        return message.reply({ embeds: [this.createResultEmbed(result.success, result.message)] });
+    },
+
+    /**
+     * Run the filters against the current items of the live feed
+     * @param {Message} message - Discord message object
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} feedInfo - Feed information object
+     * @param {Array} options - Remaining arguments
+     */
+    async testFilters(message, feedUrl, feedInfo, options) {
+        const count = Math.min(Math.max(parseInt(options[0]) || 10, 1), 20);
+
+        let feed;
+        try {
+            ({ feed } = await rssManager.fetchFeed(feedUrl, { conditional: false }));
+        } catch (error) {
+            return message.reply({ embeds: [this.createResultEmbed(false, `Could not fetch the feed: ${error.message}`)] });
+        }
+
+        const items = (feed.items || []).slice(0, count);
+        const lines = items.map(item => {
+            const icon = feedFilters.itemPassesFilters(feedInfo.filters, item) ? '✅' : '⛔';
+            return `${icon} ${this.truncateText(item.title || 'No Title', 80)}`;
+        });
+        const passed = lines.filter(line => line.startsWith('✅')).length;
+
+        const testEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`🧪 Filter Test: ${this.truncateText(feedInfo.title, 200)}`)
+            .setDescription(lines.join('\n') || 'The feed has no items.')
+            .addFields({
+                name: '📊 Result',
+                value: `${passed} of ${items.length} latest items would be posted`,
+                inline: false
+            })
+            .setTimestamp();
+
+        return message.reply({ embeds: [testEmbed] });
+    },
+
+    /**
+     * Create an embed listing the filters of a feed
+     * @param {Object} feedInfo - Feed information object
+     * @returns {EmbedBuilder} List embed
+     */
+    createListEmbed(feedInfo) {
+        const rules = feedInfo.filters.rules;
+        const ruleList = rules
+            .map((rule, index) => `**${index + 1}.** ${feedFilters.describeRule(rule)}`)
+            .join('\n');
+
+        return new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`🔎 Filters: ${this.truncateText(feedInfo.title, 200)}`)
+            .setDescription(ruleList || 'This feed has no filters; every new item is posted.')
+            .addFields({
+                name: '🔗 Include Match Mode',
+                value: feedInfo.filters.match === 'all' ? 'All include filters must match' : 'Any include filter must match',
+                inline: false
+            })
+            .setTimestamp();
+    },
+
+    /**
+     * Create a success or failure embed
+     * @param {boolean} success - Whether the action succeeded
+     * @param {string} text - Result message
+     * @returns {EmbedBuilder} Result embed
+     */
+    createResultEmbed(success, text) {
+        return new EmbedBuilder()
+            .setColor(success ? 0x00FF00 : 0xFF0000)
+            .setTitle(success ? '✅ Filters Updated' : '❌ Filter Error')
+            .setDescription(text)
+            .setTimestamp();
+    },
+
+    /**
+     * Create an embed explaining the command usage
+     * @param {string} prefix - Command prefix
+     * @returns {EmbedBuilder} Usage embed
+     */
+    createUsageEmbed(prefix) {
+        return new EmbedBuilder()
+            .setColor(0xFF0000)
+            .setTitle('❌ Invalid Usage')
+            .setDescription('Use a feed URL or its number from the feed list.')
+            .addFields({
+                name: 'Usage',
+                value: [
+                    `\`${prefix}${this.name} add <feed> <include|exclude> <keyword|/regex/flags> [--fields ${feedFilters.FILTER_FIELDS.join(',')}]\``,
+                    `\`${prefix}${this.name} list <feed>\``,
+                    `\`${prefix}${this.name} remove <feed> <filter_number>\``,
+                    `\`${prefix}${this.name} match <feed> <any|all>\``,
+                    `\`${prefix}${this.name} test <feed> [item_count]\``
+                ].join('\n')
+            })
+            .setTimestamp();
+    },
+
+    /**
+     * Truncate text to specified length
+     * @param {string} text - Text to truncate
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Truncated text
+     */
+    truncateText(text, maxLength) {
+        if (!text || text.length <= maxLength) {
+            return text || 'No title';
+        }
+        return text.substring(0, maxLength - 3) + '...';
+    }
+};
\ No newline at end of file
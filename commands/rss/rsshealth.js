@@ -0,0 +1,157 @@
+/**
+ * RSS Health Command
+ *
+ * This command lists the feeds in this server that need attention, worst
+ * first: feeds that were disabled, are failing, often fail, can't be
+ * parsed, are slow, or haven't had new items for a long time. Each entry
+ * shows the feed's recent success rate, request time, HTTP status and
+ * last error.
+ *
+ * Usage: !rsshealth [all] [page]
+ * Example: !rsshealth all 2
+ */
+
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { SEVERITY } = require('../../utils/feedHealth');
+const logger = require('../../utils/logger');
+
+// Feeds shown per page
+const PAGE_SIZE = 10;
+
+// Discord allows 6000 characters in total per embed; the title, description
+// and footer stay well below the reserved part, the rest is shared by the fields
+const MAX_EMBED_LENGTH = 6000;
+const RESERVED_LENGTH = 300;
+const MAX_FIELD_LENGTH = Math.floor((MAX_EMBED_LENGTH - RESERVED_LENGTH) / PAGE_SIZE);
+
+// Icon per severity level
+const SEVERITY_ICONS = {
+    [SEVERITY.ok]: '🟢',
+    [SEVERITY.warning]: '🟡',
+    [SEVERITY.error]: '🟠',
+    [SEVERITY.critical]: '🔴'
+};
+
+module.exports = {
+    name: 'rsshealth',
+    description: 'List the unhealthy and stale feeds in this server',
+    usage: '[all] [page]',
+    aliases: ['healthrss', 'feedhealth'],
+    category: 'rss',
+    cooldown: 5,
+    guildOnly: true, // Can only be used in servers, not DMs
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+            const showAll = args[0]?.toLowerCase() === 'all';
+            const page = parseInt(showAll ? args[1] : args[0]) || 1;
+
+            // Only list feeds of channels in this server the member can see
+            const reports = rssManager.getFeedHealth(channelId => message.guild.channels.cache.get(channelId)
+                ?.permissionsFor(message.member)
+                ?.has(PermissionFlagsBits.ViewChannel));
+            const listed = showAll ? reports : reports.filter(report => report.severity > SEVERITY.ok);
+
+            if (listed.length === 0) {
+                const healthyEmbed = new EmbedBuilder()
+                    .setColor(0x00FF00)
+                    .setTitle('🩺 Feed Health')
+                    .setDescription(reports.length === 0
+                        ? 'There are no RSS feeds in this server yet.'
+                        : `All ${reports.length} feed(s) in this server are healthy.`)
+                    .setFooter({
+                        text: `Use ${prefix}${this.name} all to see every feed.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [healthyEmbed] });
+            }
+
+            const totalPages = Math.ceil(listed.length / PAGE_SIZE);
+            const currentPage = Math.min(Math.max(page, 1), totalPages);
+            const entries = listed.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+            const unhealthy = reports.filter(report => report.severity > SEVERITY.ok).length;
+
+            const healthEmbed = new EmbedBuilder()
+                .setColor(entries[0].severity >= SEVERITY.error ? 0xFF0000 : entries[0].severity === SEVERITY.warning ? 0xFFAA00 : 0x00FF00)
+                .setTitle('🩺 Feed Health')
+                .setDescription(`${unhealthy} of ${reports.length} feed(s) in this server need attention.`)
+                .addFields(entries.map(report => this.buildField(report)))
+                .setFooter({
+                    text: `Page ${currentPage} of ${totalPages} • ${prefix}${this.name} ${this.usage}`
+                })
+                .setTimestamp();
+
+            return message.reply({ embeds: [healthEmbed] });
+
+        } catch (error) {
+            logger.error('Error in rsshealth command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while checking the feed health.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Build the embed field of one feed
+     * @param {Object} report - Health report from rssManager.getFeedHealth
+     * @returns {Object} Embed field
+     */
+    buildField(report) {
+        const metrics = [
+            report.successRate !== null ? `**Success:** ${Math.round(report.successRate * 100)}% of ${report.checks} checks` : '**Success:** Not checked yet',
+            report.averageDuration !== null ? `**Fetch:** ${this.formatDuration(report.averageDuration)} avg` : null,
+            report.lastStatus ? `**Status:** ${report.lastStatus}` : null,
+            report.averageItems !== null ? `**Items:** ${Math.round(report.averageItems)}` : null
+        ].filter(metric => metric).join(' • ');
+
+        const lines = [
+            `<#${report.channelId}> • ${this.truncateText(report.url, 100)}`,
+            ...report.problems.map(problem => `• ${this.truncateText(problem, 200)}`),
+            metrics,
+            report.lastNewItemAt ? `**Last New Item:** <t:${Math.floor(report.lastNewItemAt.getTime() / 1000)}:R>` : null,
+            report.lastError ? `**Last Error:** ${this.truncateText(report.lastError.replace(/\s+/g, ' '), 200)}` : null
+        ];
+
+        // Every field of a full page has to fit in the embed's length limit
+        const name = `${SEVERITY_ICONS[report.severity]} ${this.truncateText(report.title, 80)}`;
+
+        return {
+            name: name,
+            value: this.truncateText(lines.filter(line => line).join('\n'), MAX_FIELD_LENGTH - name.length),
+            inline: false
+        };
+    },
+
+    /**
+     * Format a request time
+     * @param {number} duration - Time in milliseconds
+     * @returns {string} Formatted time, e.g. "350ms" or "2.4s"
+     */
+    formatDuration(duration) {
+        return duration < 1000 ? `${Math.round(duration)}ms` : `${(duration / 1000).toFixed(1)}s`;
+    },
+
+    /**
+     * Truncate text to specified length
+     * @param {string} text - Text to truncate
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Truncated text
+     */
+    truncateText(text, maxLength) {
+        return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+    }
+};
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * RSS History Command
+ *
+ * This command pages through the archive of items the bot has posted in
+ * the current channel, newest first. It can show all feeds of the channel
+ * or just one.
+ *
+ * Usage: !rsshistory [RSS_URL|number] [page] [#channel]
+ * Example: !rsshistory 2 3
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const logger = require('../../utils/logger');
+
+// Items shown per page
+const PAGE_SIZE = 10;
+
+module.exports = {
+    name: 'rsshistory',
+    description: 'Browse the items posted in this channel',
+    usage: '[RSS_URL|number] [page] [#channel]',
+    aliases: ['historyrss', 'rsslog'],
+    category: 'rss',
+    cooldown: 3,
+    guildOnly: true, // Can only be used in servers, not DMs
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message, ['ViewChannel']);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+            const channelId = targetChannel.id;
+
+            // A single number is a page; a feed is given by URL or as "<number> <page>"
+            let feedUrl = null;
+            let page = 1;
+            if (args.length >= 2 || (args[0] && !/^\d+$/.test(args[0]))) {
+                feedUrl = rssManager.resolveFeed(channelId, args[0]);
+                if (!feedUrl) {
+                    const errorEmbed = new EmbedBuilder()
+                        .setColor(0xFF0000)
+                        .setTitle('❌ Feed Not Found')
+                        .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                        .setFooter({
+                            text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                        })
+                        .setTimestamp();
+
+                    return message.reply({ embeds: [errorEmbed] });
+                }
+                page = parseInt(args[1]) || 1;
+            } else if (args[0]) {
+                page = parseInt(args[0]);
+            }
+
+            const feedKey = feedUrl ? rssManager.normalizeFeedUrl(feedUrl) : null;
+            const result = rssManager.history.page(entry =>
+                entry.channelId === channelId &&
+                (!feedKey || (entry.feedUrl && rssManager.normalizeFeedUrl(entry.feedUrl) === feedKey)),
+            page, PAGE_SIZE);
+
+            const feedTitle = feedUrl ? rssManager.getFeed(channelId, feedUrl).title : null;
+
+            const historyEmbed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle(`📚 Feed History${feedTitle ? `: ${feedTitle.substring(0, 200)}` : ''}`)
+                .setDescription(result.total === 0
+                    ? `No items have been posted ${feedTitle ? 'by this feed' : `in ${targetChannel}`} yet.`
+                    : this.formatEntries(result.entries, !feedUrl))
+                .setFooter({
+                    text: `Page ${result.page} of ${result.totalPages} • ${result.total} item(s) • ${prefix}${this.name} ${this.usage}`
+                })
+                .setTimestamp();
+
+            return message.reply({ embeds: [historyEmbed] });
+
+        } catch (error) {
+            logger.error('Error in rsshistory command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while reading the feed history.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Format history entries as a list
+     * @param {Array<Object>} entries - History entries
+     * @param {boolean} showFeed - Whether to show the feed of each entry
+     * @returns {string} Formatted list
+     */
+    formatEntries(entries, showFeed) {
+        return entries.map(entry => {
+            const title = entry.title.length > 100 ? `${entry.title.substring(0, 97)}...` : entry.title;
+            const safeTitle = title.replace(/[[\]]/g, '');
+            const postedAt = `<t:${Math.floor(new Date(entry.postedAt).getTime() / 1000)}:R>`;
+
+            const details = [postedAt];
+            if (showFeed) details.push(entry.feedTitle.substring(0, 50));
+            if (entry.messageUrl) details.push(`[message](${entry.messageUrl})`);
+
+            return `• ${entry.link ? `[${safeTitle}](${entry.link})` : safeTitle}\n  ${details.join(' • ')}`;
+        }).join('\n');
+    }
+};
\ No newline at end of file
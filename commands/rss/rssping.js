@@ -0,0 +1,231 @@
+/**
+ * RSS Ping Command
+ *
+ * This command manages the role mentions of a feed. Every ping rule
+ * mentions a role (or @here) when a new item is posted, either for every
+ * item or only for items matching a keyword or regular expression.
+ *
+ * Usage:
+ *   !rssping <feed> list
+ *   !rssping <feed> add <@role|role_ID|here> [keyword|/regex/flags] [--fields title,description,categories,author]
+ *   !rssping <feed> remove <ping_number>
+ *   !rssping <feed> clear
+ *
+ * <feed> is either the feed URL or its number from !listrss.
+ * Mention a channel to manage a feed of that channel instead, e.g. a forum channel.
+ * Example: !rssping 1 add @Security /CVE-\d+/ --fields title
+ */
+
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const feedFilters = require('../../utils/feedFilters');
+const feedPings = require('../../utils/feedPings');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'rssping',
+    description: 'Mention a role when a feed posts new items',
+    usage: '<feed_URL|number> <list|add|remove|clear> [options] [#channel]',
+    aliases: ['rsspings', 'pingrss', 'rssmention'],
+    category: 'rss',
+    cooldown: 3,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[0]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const feedInfo = rssManager.getFeed(targetChannel.id, feedUrl);
+            const action = (args[1] || 'list').toLowerCase();
+            const options = args.slice(2);
+
+            switch (action) {
+                case 'list':
+                    return message.reply({ embeds: [this.createListEmbed(feedInfo)] });
+                case 'add':
+                    return this.addPing(message, targetChannel, feedUrl, options, client);
+                case 'remove': {
+                    const result = await rssManager.removeFeedPing(targetChannel.id, feedUrl, parseInt(options[0]));
+                    return message.reply({ embeds: [this.createResultEmbed(result.success, result.message)] });
+                }
+                case 'clear': {
+                    const result = await rssManager.removeFeedPing(targetChannel.id, feedUrl, null);
+                    return message.reply({ embeds: [this.createResultEmbed(result.success, result.message)] });
+                }
+                default:
+                    return message.reply({ embeds: [this.createUsageEmbed(prefix)] });
+            }
+
+        } catch (error) {
+            logger.error('Error in rssping command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while managing feed pings.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Add a ping rule to a feed
+     * @param {Message} message - Discord message object
+     * @param {Channel} channel - Channel of the feed
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Array} options - Remaining arguments
+     * @param {Client} client - Discord client instance
+     */
+    async addPing(message, channel, feedUrl, options, client) {
+        const target = (options[0] || '').toLowerCase();
+        const rest = options.slice(1);
+
+        // @everyone is never allowed; @here has to be written as a plain word
+        // so that adding the rule doesn't ping the channel itself
+        let mention;
+        let role = null;
+        if (target === 'here') {
+            mention = 'here';
+        } else {
+            const roleId = (target.match(/^<@&(\d+)>$/) || target.match(/^(\d+)$/) || [])[1];
+            role = roleId
+                ? message.guild.roles.cache.get(roleId)
+                : message.guild.roles.cache.find(guildRole => guildRole.name.toLowerCase() === target);
+
+            if (!role || role.id === message.guild.id) {
+                return message.reply({ embeds: [this.createResultEmbed(false, 'Please give a role mention, role ID, role name, or `here`.')] });
+            }
+            mention = role.id;
+        }
+
+        // Split off the optional --fields flag; everything else is the condition
+        let fields;
+        const fieldsIndex = rest.indexOf('--fields');
+        if (fieldsIndex !== -1) {
+            fields = (rest[fieldsIndex + 1] || '').toLowerCase().split(',').filter(field => field);
+            rest.splice(fieldsIndex, 2);
+        }
+
+        let rule = null;
+        if (rest.length > 0) {
+            try {
+                rule = feedFilters.createRule('include', rest.join(' '), fields);
+            } catch (error) {
+                return message.reply({ embeds: [this.createResultEmbed(false, error.message)] });
+            }
+        }
+
+        const result = await rssManager.addFeedPing(channel.id, feedUrl, { mention, rule });
+        const resultEmbed = this.createResultEmbed(result.success, result.message);
+
+        // Warn when Discord would show the mention without notifying anyone
+        const canMentionAll = channel.permissionsFor(client.user)?.has(PermissionFlagsBits.MentionEveryone);
+        if (result.success && !canMentionAll && (mention === 'here' || !role.mentionable)) {
+            resultEmbed.addFields({
+                name: '⚠️ Missing Permission',
+                value: mention === 'here'
+                    ? 'I need the **Mention @everyone, @here, and All Roles** permission in this channel to ping @here.'
+                    : `${role} is not mentionable. Make it mentionable or give me the **Mention @everyone, @here, and All Roles** permission.`,
+                inline: false
+            });
+        }
+
+        if (result.success) {
+            logger.logRSS('ping-added', feedUrl, channel.id, `by ${message.author.tag}`);
+        }
+
+        return message.reply({ embeds: [resultEmbed] });
+    },
+
+    /**
+     * Create an embed listing the ping rules of a feed
+     * @param {Object} feedInfo - Feed information object
+     * @returns {EmbedBuilder} List embed
+     */
+    createListEmbed(feedInfo) {
+        const pingList = feedInfo.pings
+            .map((ping, index) => `**${index + 1}.** ${feedPings.describePing(ping)}`)
+            .join('\n');
+
+        return new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`🔔 Pings: ${feedInfo.title.substring(0, 200)}`)
+            .setDescription(pingList || 'This feed has no pings; new items are posted without mentions.')
+            .setTimestamp();
+    },
+
+    /**
+     * Create a success or failure embed
+     * @param {boolean} success - Whether the action succeeded
+     * @param {string} text - Result message
+     * @returns {EmbedBuilder} Result embed
+     */
+    createResultEmbed(success, text) {
+        return new EmbedBuilder()
+            .setColor(success ? 0x00FF00 : 0xFF0000)
+            .setTitle(success ? '✅ Pings Updated' : '❌ Ping Error')
+            .setDescription(text)
+            .setTimestamp();
+    },
+
+    /**
+     * Create an embed explaining the command usage
+     * @param {string} prefix - Command prefix
+     * @returns {EmbedBuilder} Usage embed
+     */
+    createUsageEmbed(prefix) {
+        return new EmbedBuilder()
+            .setColor(0xFF0000)
+            .setTitle('❌ Invalid Usage')
+            .setDescription('Use a feed URL or its number from the feed list.')
+            .addFields({
+                name: 'Usage',
+                value: [
+                    `\`${prefix}${this.name} <feed> list\``,
+                    `\`${prefix}${this.name} <feed> add <@role|here> [keyword|/regex/flags] [--fields ${feedFilters.FILTER_FIELDS.join(',')}]\``,
+                    `\`${prefix}${this.name} <feed> remove <ping_number>\``,
+                    `\`${prefix}${this.name} <feed> clear\``
+                ].join('\n')
+            })
+            .setTimestamp();
+    }
+};
\ No newline at end of file
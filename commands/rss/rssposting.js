@@ -0,0 +1,205 @@
+/**
+ * RSS Posting Command
+ *
+ * This command chooses how the items of a feed appear in its channel:
+ * - message: each item is posted as a message (default in text channels)
+ * - thread: each item is posted as a message with its own discussion thread
+ *
+ * Feeds in forum channels always turn each item into a forum post named
+ * after the item. The post is tagged with the forum tags whose names match
+ * the item's categories, and categories can be mapped to other tags:
+ * - tag <category> <tag name>: use a tag for a category
+ * - tag * <tag name>: use a tag for items without any matching tag
+ * - untag <category>: remove a mapping
+ *
+ * Forum channels can't receive commands, so mention the forum channel to
+ * manage its feeds from another channel.
+ *
+ * Usage:
+ *   !rssposting <feed> [#channel] show
+ *   !rssposting <feed> <message|thread>
+ *   !rssposting <feed> #forum tag <category> <tag name>
+ *   !rssposting <feed> #forum untag <category>
+ *
+ * <feed> is either the feed URL or its number from !listrss.
+ * Example: !rssposting 1 #announcements-forum tag release Releases
+ */
+
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'rssposting',
+    description: 'Post feed items as messages, threads or tagged forum posts',
+    usage: '<feed_URL|number> [#channel] <show|message|thread|tag <category> <tag>|untag <category>>',
+    aliases: ['postingrss', 'rssthreads', 'rssforum'],
+    category: 'rss',
+    cooldown: 5,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[0]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const feedInfo = rssManager.getFeed(targetChannel.id, feedUrl);
+            const action = (args[1] || 'show').toLowerCase();
+
+            if (action === 'show') {
+                return message.reply({ embeds: [this.buildShowEmbed(targetChannel, feedInfo, prefix)] });
+            }
+
+            let result;
+            if (action === 'message' || action === 'thread') {
+                // The bot needs to create threads to open one per item
+                const botPermissions = targetChannel.permissionsFor(client.user);
+                if (action === 'thread' && !botPermissions?.has(PermissionFlagsBits.CreatePublicThreads)) {
+                    return this.replyResult(message, false, `I need the **Create Public Threads** permission in ${targetChannel} to open a thread per item.`);
+                }
+
+                result = await rssManager.setFeedPostMode(targetChannel.id, feedUrl, action);
+            } else if (action === 'tag' || action === 'untag') {
+                if (!rssManager.isForumChannel(targetChannel)) {
+                    return this.replyResult(message, false, 'Forum tags can only be used by feeds in forum channels.');
+                }
+
+                const category = args[2];
+                if (!category) {
+                    return this.replyResult(message, false, `Usage: \`${prefix}${this.name} ${args[0]} ${targetChannel} ${action} <category>${action === 'tag' ? ' <tag name>' : ''}\``);
+                }
+
+                let tagId = null;
+                if (action === 'tag') {
+                    const tagName = args.slice(3).join(' ').trim().toLowerCase();
+                    const tag = targetChannel.availableTags.find(availableTag => availableTag.name.toLowerCase() === tagName);
+                    if (!tag) {
+                        const tagNames = targetChannel.availableTags.map(availableTag => `\`${availableTag.name}\``).join(', ') || 'none';
+                        return this.replyResult(message, false, `${targetChannel} has no tag named "${args.slice(3).join(' ')}". Available tags: ${tagNames}`);
+                    }
+                    tagId = tag.id;
+                }
+
+                result = await rssManager.setFeedForumTag(targetChannel.id, feedUrl, category, tagId);
+            } else {
+                return this.replyResult(message, false, `Unknown option \`${action}\`.\nUsage: \`${prefix}${this.name} ${this.usage}\``);
+            }
+
+            await this.replyResult(message, result.success, result.message);
+
+            if (result.success) {
+                logger.logRSS(`posting-${action}`, feedUrl, targetChannel.id, `by ${message.author.tag}`);
+            }
+
+        } catch (error) {
+            logger.error('Error in rssposting command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while updating the posting settings.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Build the embed showing the posting settings of a feed
+     * @param {Channel} channel - Channel of the subscription
+     * @param {Object} feedInfo - Feed information object
+     * @param {string} prefix - Command prefix
+     * @returns {EmbedBuilder} Settings embed
+     */
+    buildShowEmbed(channel, feedInfo, prefix) {
+        const modes = {
+            message: 'One message per item',
+            thread: 'One message per item, each with a discussion thread',
+            forum: 'One forum post per item'
+        };
+
+        const showEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`🧵 Posting: ${feedInfo.title.substring(0, 200)}`)
+            .addFields({ name: '📮 Mode', value: modes[feedInfo.postMode], inline: false })
+            .setFooter({
+                text: `Usage: ${prefix}${this.name} ${this.usage}`
+            })
+            .setTimestamp();
+
+        if (rssManager.isForumChannel(channel)) {
+            const tagName = tagId => channel.availableTags.find(tag => tag.id === tagId)?.name || 'deleted tag';
+            const mappings = Object.entries(feedInfo.forumTags)
+                .map(([category, tagId]) => `• ${category === '*' ? '*(no matching tag)*' : `\`${category}\``} → ${tagName(tagId)}`)
+                .join('\n');
+
+            showEmbed.addFields(
+                {
+                    name: '🏷️ Tag Mappings',
+                    value: mappings || 'None — categories use the forum tag with the same name',
+                    inline: false
+                },
+                {
+                    name: '📋 Forum Tags',
+                    value: channel.availableTags.map(tag => `\`${tag.name}\``).join(', ') || 'This forum has no tags',
+                    inline: false
+                }
+            );
+        }
+
+        return showEmbed;
+    },
+
+    /**
+     * Reply with a success or failure embed
+     * @param {Message} message - Discord message object
+     * @param {boolean} success - Whether the action succeeded
+     * @param {string} text - Result message
+     */
+    replyResult(message, success, text) {
+        const resultEmbed = new EmbedBuilder()
+            .setColor(success ? 0x00FF00 : 0xFF0000)
+            .setTitle(success ? '✅ Posting Settings Updated' : '❌ Posting Settings Error')
+            .setDescription(text)
+            .setTimestamp();
+
+        return message.reply({ embeds: [resultEmbed] });
+    }
+};
\ No newline at end of file
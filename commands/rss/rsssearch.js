@@ -0,0 +1,101 @@
+/**
+ * RSS Search Command
+ *
+ * This command searches the archive of items the bot has posted in the
+ * channels of the current server that the member can see. Every search
+ * term has to appear in the item's title, link, summary or feed title;
+ * terms in double quotes are matched as a phrase.
+ *
+ * Usage: !rsssearch <terms> [--page <number>]
+ * Example: !rsssearch "release notes" discord
+ */
+
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const rssHistory = require('./rsshistory');
+const logger = require('../../utils/logger');
+
+// Results shown per page
+const PAGE_SIZE = 10;
+
+module.exports = {
+    name: 'rsssearch',
+    description: 'Search the items posted in this server',
+    usage: '<terms> [--page <number>]',
+    aliases: ['searchrss', 'rssfind'],
+    category: 'rss',
+    cooldown: 3,
+    guildOnly: true, // Can only be used in servers, not DMs
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // Split off the optional --page flag; everything else is the query
+            let page = 1;
+            const terms = [...args];
+            const pageIndex = terms.findIndex(arg => arg.toLowerCase() === '--page');
+            if (pageIndex !== -1) {
+                page = parseInt(terms[pageIndex + 1]) || 1;
+                terms.splice(pageIndex, 2);
+            }
+
+            const query = terms.join(' ').trim();
+            if (!query) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Missing Search Terms')
+                    .setDescription(`Usage: \`${rssManager.guildSettings.getPrefix(message.guild?.id)}${this.name} ${this.usage}\``)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            // Only search items posted in channels of this server the member can see
+            const canView = entry => message.guild.channels.cache.get(entry.channelId)
+                ?.permissionsFor(message.member)
+                ?.has(PermissionFlagsBits.ViewChannel);
+            const result = rssManager.history.search(query, canView, page, PAGE_SIZE);
+
+            const searchEmbed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle(`🔎 Search: ${query.substring(0, 200)}`)
+                .setDescription(result.total === 0
+                    ? 'No posted items match your search.'
+                    : this.formatResults(result.entries))
+                .setFooter({
+                    text: `Page ${result.page} of ${result.totalPages} • ${result.total} result(s)`
+                })
+                .setTimestamp();
+
+            return message.reply({ embeds: [searchEmbed] });
+
+        } catch (error) {
+            logger.error('Error in rsssearch command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while searching the feed history.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Format search results with the channel each item was posted in
+     * @param {Array<Object>} entries - History entries
+     * @returns {string} Formatted list
+     */
+    formatResults(entries) {
+        return entries
+            .map(entry => `${rssHistory.formatEntries([entry], true)} • <#${entry.channelId}>`)
+            .join('\n');
+    }
+};
\ No newline at end of file
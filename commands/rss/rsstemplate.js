@@ -0,0 +1,219 @@
+/**
+ * RSS Template Command
+ *
+ * This command customizes how the items of a feed are posted. A feed can
+ * use a rich embed (the default) or a plain-text message, and every text
+ * part can use placeholders such as {title}, {link} or {summary}.
+ *
+ * Usage:
+ *   !rsstemplate <feed> show
+ *   !rsstemplate <feed> format <embed|text>
+ *   !rsstemplate <feed> <content|title|description|footer> <template|none>
+ *   !rsstemplate <feed> color <#hex>
+ *   !rsstemplate <feed> thumbnail <on|off>
+ *   !rsstemplate <feed> preview
+ *   !rsstemplate <feed> reset
+ *
+ * <feed> is either the feed URL or its number from !listrss.
+ * Mention a channel to manage a feed of that channel instead, e.g. a forum channel.
+ * Example: !rsstemplate 1 format text
+ *          !rsstemplate 1 content 📰 **{title}** by {author}\n{link}
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const rssManager = require('../../utils/rssManager');
+const { resolveTargetChannel } = require('../../utils/targetChannel');
+const feedTemplates = require('../../utils/feedTemplates');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    name: 'rsstemplate',
+    description: 'Customize how items of a feed are posted',
+    usage: '<feed_URL|number> <show|format|content|title|description|footer|color|thumbnail|preview|reset> [value] [#channel]',
+    aliases: ['rssformat', 'templaterss'],
+    category: 'rss',
+    cooldown: 3,
+    guildOnly: true, // Can only be used in servers, not DMs
+    permissions: ['ManageChannels'], // User needs manage channels permission
+    args: true, // This command requires arguments
+
+    /**
+     * Execute the command
+     * @param {Message} message - Discord message object
+     * @param {Array} args - Command arguments
+     * @param {Client} client - Discord client instance
+     */
+    async execute(message, args, client) {
+        try {
+            // A mentioned channel (e.g. a forum channel) is managed instead of this one
+            const { channel: targetChannel, error: channelError } = resolveTargetChannel(message);
+            if (channelError) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Invalid Channel')
+                    .setDescription(channelError)
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            args = args.filter(arg => !/^<#\d+>$/.test(arg));
+
+            const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
+
+            // Find the feed by URL or list number
+            const feedUrl = rssManager.resolveFeed(targetChannel.id, args[0]);
+            if (!feedUrl) {
+                const errorEmbed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('❌ Feed Not Found')
+                    .setDescription(`No feed matching \`${args[0]}\` exists in ${targetChannel}.`)
+                    .setFooter({
+                        text: `Use ${prefix}listrss to see all feeds and their numbers.`
+                    })
+                    .setTimestamp();
+
+                return message.reply({ embeds: [errorEmbed] });
+            }
+
+            const feedInfo = rssManager.getFeed(targetChannel.id, feedUrl);
+            const action = (args[1] || 'show').toLowerCase();
+            const value = args.slice(2).join(' ');
+
+            switch (action) {
+                case 'show':
+                    return message.reply({ embeds: [this.createTemplateEmbed(feedInfo)] });
+                case 'preview':
+                    return this.sendPreview(message, feedUrl, feedInfo);
+                case 'reset':
+                    return this.applyChanges(message, targetChannel, feedUrl, null);
+                case 'format':
+                    if (!feedTemplates.FORMATS.includes(value.toLowerCase())) {
+                        return this.replyError(message, `Format must be one of: ${feedTemplates.FORMATS.join(', ')}`);
+                    }
+                    return this.applyChanges(message, targetChannel, feedUrl, { format: value.toLowerCase() });
+                case 'content':
+                case 'title':
+                case 'description':
+                case 'footer':
+                    if (!value) {
+                        return this.replyError(message, `Provide a template for ${action}, or \`none\` to clear it.`);
+                    }
+                    return this.applyChanges(message, targetChannel, feedUrl, {
+                        [action]: value.toLowerCase() === 'none' ? null : value
+                    });
+                case 'color': {
+                    const color = parseInt(value.replace(/^#|^0x/i, ''), 16);
+                    if (!/^(#|0x)?[0-9a-f]{6}$/i.test(value) || Number.isNaN(color)) {
+                        return this.replyError(message, 'Color must be a hex value such as `#0099FF`.');
+                    }
+                    return this.applyChanges(message, targetChannel, feedUrl, { color: color });
+                }
+                case 'thumbnail':
+                    if (!['on', 'off'].includes(value.toLowerCase())) {
+                        return this.replyError(message, 'Thumbnail must be `on` or `off`.');
+                    }
+                    return this.applyChanges(message, targetChannel, feedUrl, { thumbnail: value.toLowerCase() === 'on' });
+                default:
+                    return this.replyError(message, `Unknown option \`${action}\`. Usage: \`${prefix}${this.name} ${this.usage}\``);
+            }
+
+        } catch (error) {
+            logger.error('Error in rsstemplate command:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Error')
+                .setDescription('An error occurred while updating the feed template.')
+                .setTimestamp();
+
+            return message.reply({ embeds: [errorEmbed] });
+        }
+    },
+
+    /**
+     * Save template changes and show the result
+     * @param {Message} message - Discord message object
+     * @param {Channel} channel - Channel of the feed
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object|null} changes - Template keys to change, or null to reset
+     */
+    async applyChanges(message, channel, feedUrl, changes) {
+        const result = await rssManager.setFeedTemplate(channel.id, feedUrl, changes);
+        if (!result.success) {
+            return this.replyError(message, result.message);
+        }
+
+        const feedInfo = rssManager.getFeed(channel.id, feedUrl);
+        const templateEmbed = this.createTemplateEmbed(feedInfo)
+            .setColor(0x00FF00)
+            .setTitle(`✅ ${result.message}`);
+
+        return message.reply({ embeds: [templateEmbed] });
+    },
+
+    /**
+     * Render the newest item of the live feed with the feed's template
+     * @param {Message} message - Discord message object
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} feedInfo - Feed information object
+     */
+    async sendPreview(message, feedUrl, feedInfo) {
+        let feed;
+        try {
+            ({ feed } = await rssManager.fetchFeed(feedUrl, { conditional: false }));
+        } catch (error) {
+            return this.replyError(message, `Could not fetch the feed: ${error.message}`);
+        }
+
+        if (!feed.items || feed.items.length === 0) {
+            return this.replyError(message, 'The feed has no items to preview.');
+        }
+
+        const template = rssManager.getFeedTemplate(message.guild.id, feedInfo);
+        const preview = feedTemplates.buildMessage(template, feed, feed.items[0]);
+
+        // Never let a preview ping anyone
+        return message.reply({ ...preview, allowedMentions: { parse: [], repliedUser: false } });
+    },
+
+    /**
+     * Create an embed describing the template of a feed
+     * @param {Object} feedInfo - Feed information object
+     * @returns {EmbedBuilder} Template embed
+     */
+    createTemplateEmbed(feedInfo) {
+        const template = feedTemplates.normalizeTemplate(feedInfo.template);
+        const show = text => (text ? `\`${text.substring(0, 1000)}\`` : '*none*');
+
+        return new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`🎨 Template: ${feedInfo.title.substring(0, 200)}`)
+            .setDescription(`Placeholders: ${feedTemplates.PLACEHOLDERS.map(name => `\`{${name}}\``).join(', ')}`)
+            .addFields(
+                { name: 'Format', value: template.format, inline: true },
+                { name: 'Color', value: `#${template.color.toString(16).padStart(6, '0').toUpperCase()}`, inline: true },
+                { name: 'Thumbnail', value: template.thumbnail ? 'On' : 'Off', inline: true },
+                { name: 'Content', value: show(template.content), inline: false },
+                { name: 'Title', value: show(template.title), inline: false },
+                { name: 'Description', value: show(template.description), inline: false },
+                { name: 'Footer', value: show(template.footer), inline: false }
+            )
+            .setTimestamp();
+    },
+
+    /**
+     * Reply with an error embed
+     * @param {Message} message - Discord message object
+     * @param {string} text - Error message
+     */
+    replyError(message, text) {
+        const errorEmbed = new EmbedBuilder()
+            .setColor(0xFF0000)
+            .setTitle('❌ Template Error')
+            .setDescription(text)
+            .setTimestamp();
+
+        return message.reply({ embeds: [errorEmbed] });
+    }
+};
\ No newline at end of file
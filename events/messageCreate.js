@@ -8,6 +8,35 @@
 
 const { Collection } = require('discord.js');
 const logger = require('../utils/logger');
+const rssManager = require('../utils/rssManager');
+
+/**
+ * Check whether a user owns the bot
+ *
+ * Owners are the user IDs in the OWNER_IDS environment variable
+ * (comma-separated). Without it, the owner of the Discord application
+ * (or the members of its team) count as owners.
+ *
+ * @param {User} user - Discord user
+ * @param {Client} client - Discord client instance
+ * @returns {boolean} True if the user is a bot owner
+ */
+async function isBotOwner(user, client) {
+    const ownerIds = (process.env.OWNER_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => id);
+    
+    if (ownerIds.length > 0) {
+        return ownerIds.includes(user.id);
+    }
+    
+    const application = await client.application.fetch();
+    const owner = application.owner;
+    
+    // Applications owned by a team have members instead of a single owner
+    return owner?.members ? owner.members.has(user.id) : owner?.id === user.id;
+}
 
 module.exports = {
     name: 'messageCreate',
@@ -21,8 +50,8 @@ module.exports = {
         // Ignore messages from bots (including ourselves)
         if (message.author.bot) return;
         
-        // Get the prefix from environment or default to '!'
-        const prefix = process.env.PREFIX || '!';
+        // Get the server's prefix (PREFIX from the environment or '!' unless the server set its own)
+        const prefix = rssManager.guildSettings.getPrefix(message.guild?.id);
         
         // Ignore messages that don't start with our prefix
         if (!message.content.startsWith(prefix)) return;
@@ -47,6 +76,11 @@ module.exports = {
                 return message.reply('❌ This command can only be used in servers, not in DMs.');
             }
             
+            // Check if the command is limited to the bot owners
+            if (command.ownerOnly && !(await isBotOwner(message.author, client))) {
+                return message.reply('❌ This command can only be used by the bot owner.');
+            }
+            
             // Check if user has required permissions
             if (command.permissions) {
                 if (!message.guild) {
@@ -168,22 +168,44 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 
+// Set once shutdown has started, so a second signal doesn't run it again
+let shuttingDown = false;
+
 /**
  * Graceful shutdown handling
- * This ensures the bot shuts down cleanly when terminated
+ * This ensures the bot shuts down cleanly when terminated, whether by
+ * Ctrl+C (SIGINT) or by a process manager such as Docker, systemd or
+ * PM2 (SIGTERM)
+ * @param {string} signal - Name of the received signal
  */
-process.on('SIGINT', () => {
-    logger.info('Received SIGINT, shutting down gracefully...');
+async function shutdown(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    
+    logger.info(`Received ${signal}, shutting down gracefully...`);
     
     // Stop RSS feed checking
     rssManager.stopFeedChecking();
     
+    try {
+        // Write any changes still waiting for the debounced save
+        await rssManager.flushFeeds();
+        await rssManager.storage.close();
+    } catch (error) {
+        logger.error('Error saving data during shutdown:', error);
+    }
+    
     // Destroy the Discord client
     client.destroy();
     
     // Exit the process
     process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 
 /**
@@ -0,0 +1,299 @@
+/**
+ * Backups Utility
+ *
+ * This module creates and reads backup archives of the bot's feeds and
+ * configuration. An archive is a gzipped JSON document:
+ *
+ *   {
+ *     "format": "carterbot-backup",
+ *     "version": 1,
+ *     "createdAt": "2024-01-01T00:00:00.000Z",
+ *     "feeds": { "channelId": { "feedUrl": { ...subscription } } },
+ *     "config": { ...settings }
+ *   }
+ *
+ * Archives are used for the scheduled snapshots in the `backups/`
+ * directory and for the backup and restore commands. Before an archive is
+ * restored, its contents are validated and compared with the current state
+ * so the user can see what would change.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const configSchema = require('./configSchema');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Largest unpacked archive, so a small "zip bomb" can't use up the memory
+const MAX_UNPACKED_SIZE = 50 * 1024 * 1024;
+
+// Marker and version of the archive format
+const BACKUP_FORMAT = 'carterbot-backup';
+const BACKUP_VERSION = 1;
+
+// File names of scheduled snapshots: snapshot-2024-01-01T00-00-00.json.gz
+const SNAPSHOT_PATTERN = /^snapshot-[\dT-]+\.json\.gz$/;
+
+// Subscription fields the bot updates by itself; changes to them aren't shown in a diff
+const RUNTIME_FIELDS = ['lastChecked', 'title', 'description', 'failureCount', 'lastError', 'lastSuccess', 'nextRetryAt', 'disabledReason', 'health'];
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Build a backup document
+ * @param {Object} feeds - Feeds as stored (channelId -> feedUrl -> subscription)
+ * @param {Object} config - Bot configuration
+ * @returns {Object} Backup document
+ */
+function createSnapshot(feeds, config) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        feeds: feeds,
+        config: config
+    };
+}
+
+/**
+ * Pack a backup document into an archive
+ * @param {Object} snapshot - Backup document
+ * @returns {Buffer} Gzipped JSON
+ */
+async function createArchive(snapshot) {
+    return gzip(Buffer.from(JSON.stringify(snapshot, null, 2), 'utf8'));
+}
+
+/**
+ * Check a backup document before it is restored
+ *
+ * Settings are checked against the config schema (see configSchema.js).
+ * Settings the bot doesn't know are dropped, so archives from newer
+ * versions can still be restored.
+ *
+ * @param {*} snapshot - Parsed backup document
+ * @returns {Object} The validated backup document
+ * @throws {Error} Describing the first problem found
+ */
+function validateSnapshot(snapshot) {
+    if (!isPlainObject(snapshot) || snapshot.format !== BACKUP_FORMAT) {
+        throw new Error('This file is not a CarterBot backup');
+    }
+
+    if (!Number.isInteger(snapshot.version) || snapshot.version > BACKUP_VERSION) {
+        throw new Error(`Backup version ${snapshot.version} is not supported (newest supported version is ${BACKUP_VERSION})`);
+    }
+
+    if (!isPlainObject(snapshot.feeds)) {
+        throw new Error('The backup has no feeds section');
+    }
+
+    for (const [channelId, channelFeeds] of Object.entries(snapshot.feeds)) {
+        if (!/^\d+$/.test(channelId) || !isPlainObject(channelFeeds)) {
+            throw new Error(`Invalid feeds entry for channel "${channelId}"`);
+        }
+
+        for (const [feedUrl, feedInfo] of Object.entries(channelFeeds)) {
+            if (!isPlainObject(feedInfo) || typeof feedInfo.url !== 'string' || !/^https?:\/\//i.test(feedInfo.url)) {
+                throw new Error(`Invalid feed "${feedUrl}" in channel ${channelId}`);
+            }
+
+            if (feedInfo.interval !== undefined && (typeof feedInfo.interval !== 'number' || feedInfo.interval <= 0)) {
+                throw new Error(`Invalid check interval for feed "${feedUrl}" in channel ${channelId}`);
+            }
+        }
+    }
+
+    if (!isPlainObject(snapshot.config)) {
+        throw new Error('The backup has no config section');
+    }
+
+    const { config: validated, errors } = configSchema.validateConfig(snapshot.config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid setting in the backup: ${errors[0]}`);
+    }
+
+    // Settings missing from the backup keep their current value instead of the default
+    const config = {};
+    for (const key of Object.keys(snapshot.config)) {
+        if (key in configSchema.CONFIG_SCHEMA) {
+            config[key] = validated[key];
+        }
+    }
+
+    return { ...snapshot, config: config };
+}
+
+/**
+ * Unpack and validate an archive
+ * @param {Buffer} buffer - Archive contents (gzipped or plain JSON)
+ * @returns {Object} The validated backup document
+ * @throws {Error} If the archive can't be read or is invalid
+ */
+async function readArchive(buffer) {
+    let text;
+    try {
+        // Gzip data starts with the bytes 1f 8b
+        text = buffer[0] === 0x1f && buffer[1] === 0x8b
+            ? (await gunzip(buffer, { maxOutputLength: MAX_UNPACKED_SIZE })).toString('utf8')
+            : buffer.toString('utf8');
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`The unpacked archive is larger than ${MAX_UNPACKED_SIZE / 1024 / 1024} MB`);
+        }
+        throw new Error('The archive could not be unpacked');
+    }
+
+    let snapshot;
+    try {
+        snapshot = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The archive does not contain valid JSON');
+    }
+
+    return validateSnapshot(snapshot);
+}
+
+/**
+ * Get the settings of a subscription that matter for a diff
+ * @param {Object} feedInfo - Stored subscription
+ * @returns {string} Settings as JSON
+ */
+function getSettings(feedInfo) {
+    const settings = { ...feedInfo };
+    for (const field of RUNTIME_FIELDS) {
+        delete settings[field];
+    }
+    return JSON.stringify(settings);
+}
+
+/**
+ * Compare the current state with a backup
+ * @param {Object} current - Backup document of the current state
+ * @param {Object} snapshot - Backup document that would be restored
+ * @returns {Object} `{ added, removed, changed, config }`; the first three
+ *                   list subscriptions `{ channelId, url, title }`, config
+ *                   lists settings `{ key, from, to }`
+ */
+function diffSnapshot(current, snapshot) {
+    const diff = { added: [], removed: [], changed: [], config: [] };
+
+    const channelIds = new Set([...Object.keys(current.feeds), ...Object.keys(snapshot.feeds)]);
+    for (const channelId of channelIds) {
+        const before = current.feeds[channelId] || {};
+        const after = snapshot.feeds[channelId] || {};
+
+        for (const [feedUrl, feedInfo] of Object.entries(after)) {
+            const entry = { channelId: channelId, url: feedUrl, title: feedInfo.title || feedUrl };
+
+            if (!before[feedUrl]) {
+                diff.added.push(entry);
+            } else if (getSettings(before[feedUrl]) !== getSettings(feedInfo)) {
+                diff.changed.push(entry);
+            }
+        }
+
+        for (const [feedUrl, feedInfo] of Object.entries(before)) {
+            if (!after[feedUrl]) {
+                diff.removed.push({ channelId: channelId, url: feedUrl, title: feedInfo.title || feedUrl });
+            }
+        }
+    }
+
+    for (const [key, value] of Object.entries(snapshot.config)) {
+        if (JSON.stringify(current.config[key]) !== JSON.stringify(value)) {
+            diff.config.push({ key: key, from: current.config[key], to: value });
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * List the scheduled snapshots in a directory, newest first
+ * @param {string} directory - Snapshot directory
+ * @returns {Array<Object>} Snapshots `{ name, path, createdAt, size }`
+ */
+async function listSnapshots(directory) {
+    if (!(await fs.pathExists(directory))) {
+        return [];
+    }
+
+    const snapshots = [];
+    for (const name of await fs.readdir(directory)) {
+        if (!SNAPSHOT_PATTERN.test(name)) {
+            continue;
+        }
+
+        const filePath = path.join(directory, name);
+        const { mtime, size } = await fs.stat(filePath);
+        snapshots.push({ name: name, path: filePath, createdAt: mtime, size: size });
+    }
+
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt || b.name.localeCompare(a.name));
+}
+
+/**
+ * Save an archive as a scheduled snapshot and delete the oldest ones
+ * @param {string} directory - Snapshot directory
+ * @param {Buffer} archive - Archive contents
+ * @param {number} retention - Number of snapshots to keep
+ * @returns {string} Name of the new snapshot
+ */
+async function writeSnapshot(directory, archive, retention) {
+    await fs.ensureDir(directory);
+
+    const name = `snapshot-${new Date().toISOString().replace(/:/g, '-').replace(/\.\d+Z$/, '')}.json.gz`;
+    const filePath = path.join(directory, name);
+    const tempPath = `${filePath}.tmp`;
+
+    // Write to a temporary file first so a crash can't leave a broken snapshot behind
+    await fs.writeFile(tempPath, archive);
+    await fs.rename(tempPath, filePath);
+
+    const snapshots = await listSnapshots(directory);
+    for (const snapshot of snapshots.slice(Math.max(retention, 1))) {
+        await fs.remove(snapshot.path);
+    }
+
+    return name;
+}
+
+/**
+ * Read a scheduled snapshot by name
+ * @param {string} directory - Snapshot directory
+ * @param {string} name - Snapshot name, or "latest" for the newest one
+ * @returns {Buffer|null} Archive contents, or null if there is no such snapshot
+ */
+async function readSnapshot(directory, name) {
+    const snapshots = await listSnapshots(directory);
+    const snapshot = name === 'latest'
+        ? snapshots[0]
+        : snapshots.find(entry => entry.name === name || entry.name === `${name}.json.gz`);
+
+    return snapshot ? fs.readFile(snapshot.path) : null;
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    createSnapshot,
+    createArchive,
+    validateSnapshot,
+    readArchive,
+    diffSnapshot,
+    listSnapshots,
+    writeSnapshot,
+    readSnapshot
+};
\ No newline at end of file
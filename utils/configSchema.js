@@ -0,0 +1,151 @@
+/**
+ * Config Schema Utility
+ *
+ * This module describes every setting in `data/config.json`: its type,
+ * its allowed range and its default value. Loaded configuration is
+ * checked against the schema, so a typo or an out-of-range value is
+ * reported clearly instead of silently breaking feed checking.
+ *
+ * Setting types:
+ * - integer / number: optional `min` and `max`
+ * - string: optional `maxLength`
+ * - enum: one of `values`
+ * - boolean
+ */
+
+// Shorthands for durations in milliseconds
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Every known setting, in the order they are written to config.json
+const CONFIG_SCHEMA = {
+    defaultInterval: { type: 'integer', min: MINUTE, max: DAY, default: 5 * MINUTE, description: 'Check interval of feeds added without one (ms)' },
+    maxFeedsPerChannel: { type: 'integer', min: 1, max: 100, default: 10, description: 'Most feeds in one channel' },
+    maxFeedsPerGuild: { type: 'integer', min: 1, max: 10000, default: 100, description: 'Most feeds in one server' },
+    seenItemsPerFeed: { type: 'integer', min: 10, max: 10000, default: 500, description: 'Seen items remembered per subscription' },
+    seenItemsMaxAge: { type: 'integer', min: DAY, max: 365 * DAY, default: 30 * DAY, description: 'How long seen items are remembered (ms)' },
+    requestTimeout: { type: 'integer', min: SECOND, max: 5 * MINUTE, default: 30 * SECOND, description: 'Feed request timeout (ms)' },
+    maxConsecutiveFailures: { type: 'integer', min: 1, max: 1000, default: 10, description: 'Failed checks in a row before a feed is disabled' },
+    maxBackoffInterval: { type: 'integer', min: MINUTE, max: 7 * DAY, default: DAY, description: 'Longest delay between retries of a failing feed (ms)' },
+    historyMaxItems: { type: 'integer', min: 1, max: 1000000, default: 10000, description: 'Most entries in the posted item history' },
+    historyMaxAge: { type: 'integer', min: DAY, max: 3650 * DAY, default: 90 * DAY, description: 'How long posted items stay in the history (ms)' },
+    staleFeedAge: { type: 'integer', min: DAY, max: 365 * DAY, default: 14 * DAY, description: 'Time without new items before a feed is reported as stale (ms)' },
+    maxConcurrentChecks: { type: 'integer', min: 1, max: 50, default: 3, description: 'Most feed checks running at the same time' },
+    scheduleJitter: { type: 'number', min: 0, max: 0.5, default: 0.1, description: 'Random spread of check intervals (0.1 = ±10%)' },
+    userAgent: { type: 'string', maxLength: 200, default: 'CarterBot/1.0 (Discord RSS bot)', description: 'User-Agent sent with feed requests' },
+    hostRequestSpacing: { type: 'integer', min: 0, max: MINUTE, default: 2 * SECOND, description: 'Minimum time between requests to one host (ms)' },
+    maxRequestsPerHost: { type: 'integer', min: 1, max: 20, default: 2, description: 'Most requests to one host at the same time' },
+    saveDelay: { type: 'integer', min: 0, max: MINUTE, default: SECOND, description: 'How long changes are collected before saving (ms)' },
+    feedsBackupCount: { type: 'integer', min: 0, max: 100, default: 5, description: 'Rotated backups of feeds.json' },
+    feedsBackupInterval: { type: 'integer', min: 0, max: 7 * DAY, default: HOUR, description: 'Minimum time between feeds.json backups (ms)' },
+    snapshotInterval: { type: 'integer', min: 0, max: 30 * DAY, default: DAY, description: 'Time between scheduled snapshots, 0 for none (ms)' },
+    snapshotRetention: { type: 'integer', min: 1, max: 365, default: 7, description: 'Scheduled snapshots kept' },
+    logLevel: { type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info', description: 'Most detailed log level written' }
+};
+
+/**
+ * Get the default configuration
+ * @returns {Object} Every setting with its default value
+ */
+function getDefaults() {
+    const defaults = {};
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        defaults[key] = rule.default;
+    }
+    return defaults;
+}
+
+/**
+ * Check one setting against its rule
+ * @param {Object} rule - Schema entry of the setting
+ * @param {*} value - Value to check
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function checkValue(rule, value) {
+    switch (rule.type) {
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return `must be a number, got ${JSON.stringify(value)}`;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return `must be a whole number, got ${value}`;
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return `must be at least ${rule.min}, got ${value}`;
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return `must be at most ${rule.max}, got ${value}`;
+            }
+            return null;
+
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') {
+                return `must be a non-empty string, got ${JSON.stringify(value)}`;
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `must be at most ${rule.maxLength} characters long`;
+            }
+            return null;
+
+        case 'enum':
+            return rule.values.includes(value)
+                ? null
+                : `must be one of ${rule.values.join(', ')}, got ${JSON.stringify(value)}`;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`;
+
+        default:
+            return `has an unknown type "${rule.type}" in the schema`;
+    }
+}
+
+/**
+ * Validate loaded configuration
+ *
+ * Missing settings get their default value. Invalid settings are reported
+ * in `errors` and replaced by `fallback` (the value currently in use) or
+ * their default. Unknown settings are reported in `warnings` and dropped.
+ *
+ * @param {*} data - Configuration as loaded
+ * @param {Object} fallback - Values used for invalid settings (default: the schema defaults)
+ * @returns {Object} `{ config, errors, warnings }`; errors and warnings are readable messages
+ */
+function validateConfig(data, fallback = getDefaults()) {
+    const config = { ...getDefaults() };
+    const errors = [];
+    const warnings = [];
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        errors.push('The configuration must be a JSON object');
+        return { config: { ...config, ...fallback }, errors: errors, warnings: warnings };
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule) {
+            warnings.push(`Unknown setting "${key}" is ignored`);
+            continue;
+        }
+
+        const problem = checkValue(rule, value);
+        if (problem) {
+            errors.push(`"${key}" ${problem}`);
+            config[key] = key in fallback ? fallback[key] : rule.default;
+        } else {
+            config[key] = value;
+        }
+    }
+
+    return { config: config, errors: errors, warnings: warnings };
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    getDefaults,
+    checkValue,
+    validateConfig
+};
\ No newline at end of file
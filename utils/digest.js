@@ -0,0 +1,313 @@
+/**
+ * Digest Utility
+ *
+ * This module supports the digest mode of feed subscriptions. Instead of
+ * posting every item as it arrives, a subscription in digest mode queues
+ * new items and posts one summary message on a schedule:
+ * - hourly: at the start of every hour
+ * - daily: every day at HH:MM in the subscription's timezone
+ * - weekly: on one day of the week at HH:MM in the subscription's timezone
+ *
+ * The queue is saved to storage so no item is lost between digests,
+ * even across restarts.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+
+const logger = require('./logger');
+
+const SCHEDULE_TYPES = ['hourly', 'daily', 'weekly'];
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Keep queues bounded if a digest can't be delivered for a long time
+const MAX_QUEUED_ITEMS = 500;
+
+// Discord allows up to 4096 characters in an embed description
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+// Characters of an item's summary kept for the history after the digest
+const MAX_SNIPPET_LENGTH = 300;
+
+class DigestQueue {
+    /**
+     * @param {Object} storage - Storage adapter (see storage.js)
+     */
+    constructor(storage) {
+        this.storage = storage;
+
+        // channelId -> feedUrl -> Array of queued items
+        this.queues = new Map();
+    }
+
+    /**
+     * Load queued items from storage
+     */
+    async load() {
+        this.queues = new Map();
+
+        const data = await this.storage.load('digests');
+        if (!data) {
+            return;
+        }
+
+        for (const [channelId, channelQueues] of Object.entries(data)) {
+            this.queues.set(channelId, new Map(Object.entries(channelQueues)));
+        }
+    }
+
+    /**
+     * Save queued items to storage
+     */
+    async save() {
+        const data = {};
+
+        for (const [channelId, channelQueues] of this.queues.entries()) {
+            data[channelId] = Object.fromEntries(channelQueues);
+        }
+
+        await this.storage.save('digests', data);
+    }
+
+    /**
+     * Get the queued items of a subscription
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @returns {Array} Queued items, oldest first
+     */
+    get(channelId, feedUrl) {
+        return this.queues.get(channelId)?.get(feedUrl) || [];
+    }
+
+    /**
+     * Queue feed items for the next digest
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Array} items - RSS feed items, oldest first
+     */
+    add(channelId, feedUrl, items) {
+        if (!this.queues.has(channelId)) {
+            this.queues.set(channelId, new Map());
+        }
+
+        const queue = this.get(channelId, feedUrl).concat(items.map(item => ({
+            title: item.title || 'No Title',
+            link: item.link || null,
+            pubDate: item.isoDate || item.pubDate || null,
+            contentSnippet: (item.contentSnippet || item.description || '').replace(/\s+/g, ' ').trim().substring(0, MAX_SNIPPET_LENGTH)
+        })));
+
+        if (queue.length > MAX_QUEUED_ITEMS) {
+            logger.warn(`Digest queue for ${feedUrl} in channel ${channelId} is full, dropping ${queue.length - MAX_QUEUED_ITEMS} oldest items`);
+        }
+
+        this.queues.get(channelId).set(feedUrl, queue.slice(-MAX_QUEUED_ITEMS));
+    }
+
+    /**
+     * Remove posted items from the queue of a subscription
+     *
+     * Items queued while the digest was being posted stay in the queue for
+     * the next digest.
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Array} items - Queued items returned by `get`
+     */
+    remove(channelId, feedUrl, items) {
+        const posted = new Set(items);
+        const queue = this.get(channelId, feedUrl).filter(item => !posted.has(item));
+
+        if (queue.length > 0) {
+            this.queues.get(channelId).set(feedUrl, queue);
+        } else {
+            this.clear(channelId, feedUrl);
+        }
+    }
+
+    /**
+     * Remove the queued items of a subscription
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     */
+    clear(channelId, feedUrl) {
+        const channelQueues = this.queues.get(channelId);
+        if (!channelQueues) {
+            return;
+        }
+
+        channelQueues.delete(feedUrl);
+        if (channelQueues.size === 0) {
+            this.queues.delete(channelId);
+        }
+    }
+}
+
+/**
+ * Parse a digest schedule from command arguments
+ *
+ * Accepted forms:
+ * - hourly
+ * - daily HH:MM [timezone]
+ * - weekly <day> HH:MM [timezone]
+ *
+ * @param {Array<string>} args - Schedule arguments
+ * @returns {Object} Digest schedule `{ type, time, day, timezone }`
+ * @throws {Error} If the schedule is invalid
+ */
+function parseSchedule(args) {
+    const [type, ...rest] = args.map(arg => arg.trim());
+    const scheduleType = (type || '').toLowerCase();
+
+    if (!SCHEDULE_TYPES.includes(scheduleType)) {
+        throw new Error(`Schedule must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+    }
+
+    if (scheduleType === 'hourly') {
+        return { type: 'hourly', time: null, day: null, timezone: 'UTC' };
+    }
+
+    let day = null;
+    if (scheduleType === 'weekly') {
+        const dayName = (rest.shift() || '').toLowerCase();
+        day = DAYS.findIndex(name => name.startsWith(dayName) && dayName.length >= 3);
+        if (day === -1) {
+            throw new Error('Weekly digests need a day of the week, e.g. `weekly monday 09:00`');
+        }
+    }
+
+    const time = rest.shift() || '';
+    const timeMatch = time.match(/^(\d{1,2}):(\d{2})$/);
+    if (!timeMatch || parseInt(timeMatch[1]) > 23 || parseInt(timeMatch[2]) > 59) {
+        throw new Error('Time must be given as HH:MM in 24-hour format, e.g. `09:30`');
+    }
+
+    const timezone = rest.shift() || 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+        throw new Error(`Unknown timezone "${timezone}". Use an IANA name such as \`Europe/London\``);
+    }
+
+    return {
+        type: scheduleType,
+        time: `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`,
+        day: day,
+        timezone: timezone
+    };
+}
+
+/**
+ * Check a stored digest schedule
+ * @param {Object} schedule - Digest schedule loaded from feeds.json
+ * @returns {Object|null} The schedule, or null if it is invalid
+ */
+function normalizeSchedule(schedule) {
+    if (!schedule) {
+        return null;
+    }
+
+    try {
+        const args = [schedule.type];
+        if (schedule.type === 'weekly') args.push(DAYS[schedule.day]);
+        if (schedule.type !== 'hourly') args.push(schedule.time, schedule.timezone);
+        return parseSchedule(args);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Convert a digest schedule to a cron expression
+ * @param {Object} schedule - Digest schedule
+ * @returns {string} Cron expression
+ */
+function toCronExpression(schedule) {
+    if (schedule.type === 'hourly') {
+        return '0 * * * *';
+    }
+
+    const [hours, minutes] = schedule.time.split(':').map(part => parseInt(part));
+    const dayOfWeek = schedule.type === 'weekly' ? schedule.day : '*';
+
+    return `${minutes} ${hours} * * ${dayOfWeek}`;
+}
+
+/**
+ * Describe a digest schedule for display
+ * @param {Object} schedule - Digest schedule
+ * @returns {string} Human-readable schedule
+ */
+function describeSchedule(schedule) {
+    if (!schedule) {
+        return 'Off (items are posted as they arrive)';
+    }
+
+    if (schedule.type === 'hourly') {
+        return 'Hourly';
+    }
+
+    const dayName = schedule.type === 'weekly'
+        ? `${DAYS[schedule.day].charAt(0).toUpperCase()}${DAYS[schedule.day].slice(1)}s`
+        : 'Daily';
+
+    return `${dayName} at ${schedule.time} (${schedule.timezone})`;
+}
+
+/**
+ * Build the digest embeds for a list of queued items, split so each
+ * embed stays within Discord's description limit
+ * @param {string} feedTitle - Feed title
+ * @param {Array} items - Queued items, oldest first
+ * @param {number} color - Embed color
+ * @returns {Array<Object>} One `{ embed, items }` per message, with the queued items listed in the embed
+ */
+function buildDigestEmbeds(feedTitle, items, color = 0x0099FF) {
+    // Group items into chunks whose lines fit in one embed description
+    const chunks = [];
+    let current = null;
+    for (const item of items) {
+        const title = item.title.length > 200 ? `${item.title.substring(0, 197)}...` : item.title;
+        const safeTitle = title.replace(/[[\]]/g, '');
+        const line = item.link ? `• [${safeTitle}](${item.link})` : `• ${safeTitle}`;
+
+        if (current && current.text.length + line.length + 1 > MAX_DESCRIPTION_LENGTH) {
+            chunks.push(current);
+            current = null;
+        }
+
+        if (current) {
+            current.text = `${current.text}\n${line}`;
+            current.items.push(item);
+        } else {
+            current = { text: line, items: [item] };
+        }
+    }
+    if (current) {
+        chunks.push(current);
+    }
+
+    const title = `📬 ${feedTitle.substring(0, 200)} — ${items.length} new item${items.length === 1 ? '' : 's'}`;
+
+    return chunks.map((chunk, index) => {
+        const embed = new EmbedBuilder()
+            .setColor(color)
+            .setTitle(chunks.length > 1 ? `${title} (${index + 1}/${chunks.length})` : title)
+            .setDescription(chunk.text);
+
+        if (index === chunks.length - 1) {
+            embed.setTimestamp();
+        }
+
+        return { embed: embed, items: chunk.items };
+    });
+}
+
+module.exports = {
+    SCHEDULE_TYPES,
+    DigestQueue,
+    parseSchedule,
+    normalizeSchedule,
+    toCronExpression,
+    describeSchedule,
+    buildDigestEmbeds
+};
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Feed Backlog Utility
+ *
+ * This module decides how many items a subscription posts at once:
+ * - backfill: what to post on the first check after a feed is added
+ *   - none: nothing, only items published after the feed was added
+ *   - latest: the newest N items
+ *   - since: every item published since a date
+ * - maxItemsPerCheck: the most items posted by a single check
+ *
+ * Items beyond the per-check maximum are not dropped silently; they are
+ * listed in one overflow message ("…and 14 more items from X").
+ */
+
+const { EmbedBuilder } = require('discord.js');
+
+// Items posted per check unless a subscription says otherwise
+const DEFAULT_MAX_ITEMS_PER_CHECK = 5;
+
+// Highest per-check maximum a subscription can use
+const MAX_ITEMS_PER_CHECK_LIMIT = 25;
+
+// Most items a "latest N" backfill can ask for
+const MAX_BACKFILL_COUNT = 100;
+
+// Discord's limit for embed descriptions
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+/**
+ * Create the default backfill setting (the newest 5 items)
+ * @returns {Object} Backfill setting `{ mode, count, since }`
+ */
+function createDefaultBackfill() {
+    return { mode: 'latest', count: DEFAULT_MAX_ITEMS_PER_CHECK, since: null };
+}
+
+/**
+ * Parse a backfill setting from a command argument
+ *
+ * Accepted forms:
+ * - none
+ * - a number of items, e.g. `10`
+ * - a date, e.g. `2024-05-01` or `2024-05-01T12:00:00Z`
+ *
+ * @param {string} value - Backfill argument
+ * @returns {Object} Backfill setting `{ mode, count, since }`
+ * @throws {Error} If the value is invalid
+ */
+function parseBackfill(value) {
+    const text = (value || '').trim().toLowerCase();
+
+    if (text === 'none' || text === '0') {
+        return { mode: 'none', count: 0, since: null };
+    }
+
+    if (/^\d+$/.test(text)) {
+        const count = parseInt(text);
+        if (count > MAX_BACKFILL_COUNT) {
+            throw new Error(`Backfill can post at most the ${MAX_BACKFILL_COUNT} newest items.`);
+        }
+        return { mode: 'latest', count: count, since: null };
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const since = new Date(value.trim());
+        if (!Number.isNaN(since.getTime())) {
+            return { mode: 'since', count: 0, since: since.toISOString() };
+        }
+    }
+
+    throw new Error('Backfill must be `none`, a number of items (e.g. `10`) or a date (e.g. `2024-05-01`).');
+}
+
+/**
+ * Check a stored backfill setting
+ * @param {Object} backfill - Backfill setting loaded from feeds.json
+ * @returns {Object} A valid backfill setting (the default if it was invalid)
+ */
+function normalizeBackfill(backfill) {
+    if (!backfill) {
+        return createDefaultBackfill();
+    }
+
+    try {
+        if (backfill.mode === 'none') return parseBackfill('none');
+        if (backfill.mode === 'latest') return parseBackfill(String(backfill.count));
+        if (backfill.mode === 'since') return parseBackfill(backfill.since);
+    } catch {
+        // Fall through to the default
+    }
+
+    return createDefaultBackfill();
+}
+
+/**
+ * Check a per-check maximum
+ * @param {*} value - Stored or entered value
+ * @returns {number|null} The maximum, or null if it is invalid
+ */
+function normalizeMaxItems(value) {
+    const maxItems = parseInt(value);
+    if (isNaN(maxItems) || maxItems < 1 || maxItems > MAX_ITEMS_PER_CHECK_LIMIT) {
+        return null;
+    }
+    return maxItems;
+}
+
+/**
+ * Describe a backfill setting for display
+ * @param {Object} backfill - Backfill setting
+ * @returns {string} Human-readable setting
+ */
+function describeBackfill(backfill) {
+    if (backfill.mode === 'none') {
+        return 'None (only new items)';
+    }
+    if (backfill.mode === 'since') {
+        return `Every item since ${backfill.since.substring(0, 10)}`;
+    }
+    return `Latest ${backfill.count} item${backfill.count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Pick the items to post on a subscription's first check
+ * @param {Array} items - Unseen items, newest first
+ * @param {Object} backfill - Backfill setting
+ * @returns {Array} Items to post, newest first
+ */
+function selectBackfillItems(items, backfill) {
+    if (backfill.mode === 'none') {
+        return [];
+    }
+
+    if (backfill.mode === 'since') {
+        const since = new Date(backfill.since).getTime();
+        // Items without a usable date can't be placed, so they are left out
+        return items.filter(item => {
+            const published = new Date(item.isoDate || item.pubDate).getTime();
+            return !Number.isNaN(published) && published >= since;
+        });
+    }
+
+    return items.slice(0, backfill.count);
+}
+
+/**
+ * Build the overflow message for items that didn't fit in one check
+ * @param {string} feedTitle - Feed title
+ * @param {Array} items - Items that weren't posted, newest first
+ * @param {number} color - Embed color
+ * @returns {EmbedBuilder} Overflow embed
+ */
+function buildOverflowEmbed(feedTitle, items, color = 0x0099FF) {
+    const lines = [];
+    let length = 0;
+
+    for (const [index, item] of items.entries()) {
+        const itemTitle = item.title || 'No Title';
+        const title = itemTitle.length > 200 ? `${itemTitle.substring(0, 197)}...` : itemTitle;
+        const safeTitle = title.replace(/[[\]]/g, '');
+        const line = item.link ? `• [${safeTitle}](${item.link})` : `• ${safeTitle}`;
+
+        // Leave room for the "and N more" line
+        if (length + line.length + 1 > MAX_DESCRIPTION_LENGTH - 40) {
+            lines.push(`…and ${items.length - index} more not listed`);
+            break;
+        }
+
+        lines.push(line);
+        length += line.length + 1;
+    }
+
+    return new EmbedBuilder()
+        .setColor(color)
+        .setTitle(`…and ${items.length} more item${items.length === 1 ? '' : 's'} from ${feedTitle.substring(0, 200)}`)
+        .setDescription(lines.join('\n'))
+        .setTimestamp();
+}
+
+module.exports = {
+    DEFAULT_MAX_ITEMS_PER_CHECK,
+    MAX_ITEMS_PER_CHECK_LIMIT,
+    MAX_BACKFILL_COUNT,
+    createDefaultBackfill,
+    parseBackfill,
+    normalizeBackfill,
+    normalizeMaxItems,
+    describeBackfill,
+    selectBackfillItems,
+    buildOverflowEmbed
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Feed Discovery Utility
+ *
+ * This module finds the feeds of a website when a page URL is given
+ * instead of a feed URL. Candidates come from:
+ * - `<link rel="alternate">` tags for RSS, Atom and JSON Feed in the page
+ * - Common feed paths on the same site (/feed, /rss.xml, /atom.xml),
+ *   which are only tried when the page doesn't link any feeds
+ *
+ * Candidates still have to be fetched and validated by the RSS Manager.
+ */
+
+// Link types that point to a feed
+const FEED_TYPES = [
+    'application/rss+xml',
+    'application/atom+xml',
+    'application/feed+json',
+    'application/json'
+];
+
+// Paths tried when a page doesn't link any feeds
+const COMMON_PATHS = ['/feed', '/rss.xml', '/atom.xml'];
+
+/**
+ * Check whether a response body is an HTML page
+ * @param {string} body - Response body
+ * @param {string} contentType - Response Content-Type header
+ * @returns {boolean} True if the body is HTML
+ */
+function isHtmlPage(body, contentType = '') {
+    const start = body.trimStart().substring(0, 512).toLowerCase();
+
+    if (start.startsWith('<!doctype html') || start.startsWith('<html')) {
+        return true;
+    }
+
+    // Some servers send feeds as text/html, so only trust the header for non-XML bodies
+    return /text\/html/i.test(contentType) && !start.startsWith('<?xml') && !start.startsWith('<rss') && !start.startsWith('<feed');
+}
+
+/**
+ * Read the attributes of an HTML tag
+ * @param {string} tag - HTML tag, e.g. `<link rel="alternate" href="/feed">`
+ * @returns {Object} Attribute names (lowercase) and values
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    const attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+    let match;
+    while ((match = attributePattern.exec(tag)) !== null) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attributes[match[1].toLowerCase()] = value
+            .replace(/&amp;/g, '&')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .trim();
+    }
+
+    return attributes;
+}
+
+/**
+ * Find the feeds linked from an HTML page
+ * @param {string} html - HTML page
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @returns {Array<Object>} Candidates `{ url, title }` in page order
+ */
+function findFeedLinks(html, pageUrl) {
+    const candidates = [];
+    const seen = new Set();
+
+    for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+        const type = (attributes.type || '').toLowerCase().split(';')[0].trim();
+
+        if (!rel.includes('alternate') || !FEED_TYPES.includes(type) || !attributes.href) {
+            continue;
+        }
+
+        let url;
+        try {
+            url = new URL(attributes.href, pageUrl).toString();
+        } catch {
+            continue;
+        }
+
+        if (!seen.has(url)) {
+            seen.add(url);
+            candidates.push({ url: url, title: attributes.title || null });
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Build the common feed URLs of a site
+ * @param {string} pageUrl - URL of a page on the site
+ * @returns {Array<Object>} Candidates `{ url, title }`
+ */
+function getCommonPathCandidates(pageUrl) {
+    const origin = new URL(pageUrl).origin;
+    return COMMON_PATHS.map(feedPath => ({ url: `${origin}${feedPath}`, title: null }));
+}
+
+module.exports = {
+    COMMON_PATHS,
+    isHtmlPage,
+    findFeedLinks,
+    getCommonPathCandidates
+};
\ No newline at end of file
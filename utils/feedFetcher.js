@@ -0,0 +1,264 @@
+/**
+ * Feed Fetcher Utility
+ *
+ * This module downloads feed documents for the RSS Manager. It uses
+ * conditional HTTP requests so unchanged feeds cost as little as possible:
+ * - The `ETag` and `Last-Modified` headers of each response are stored per feed URL
+ * - Later requests send them back as `If-None-Match` / `If-Modified-Since`
+ * - A `304 Not Modified` response skips downloading and parsing completely
+ *
+ * The validator cache is saved to storage so it survives restarts.
+ *
+ * Requests go through a per-host limiter (see hostLimiter.js), identify
+ * the bot with a configurable User-Agent, and a `429`/`503` response with
+ * `Retry-After` pauses every request to that host until the given time.
+ *
+ * RSS and Atom documents are parsed with rss-parser, and JSON Feed
+ * documents are converted to the same shape (see jsonFeed.js).
+ */
+
+const logger = require('./logger');
+const jsonFeed = require('./jsonFeed');
+const feedDiscovery = require('./feedDiscovery');
+const HostLimiter = require('./hostLimiter');
+
+// Milliseconds per sy:updatePeriod unit
+const UPDATE_PERIODS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000,
+    yearly: 365 * 24 * 60 * 60 * 1000
+};
+
+class FeedFetcher {
+    /**
+     * @param {Parser} parser - rss-parser instance used to parse feed documents
+     * @param {Object} storage - Storage adapter for the validator cache (see storage.js)
+     * @param {Object} options - Fetch options
+     * @param {number} options.timeout - Request timeout in milliseconds
+     * @param {string} options.userAgent - User-Agent header sent with every request
+     */
+    constructor(parser, storage, options = {}) {
+        this.parser = parser;
+        this.storage = storage;
+        this.timeout = options.timeout || 30000;
+        this.userAgent = options.userAgent || 'CarterBot/1.0 (Discord RSS bot)';
+
+        // Request spacing and concurrency per host
+        this.limiter = new HostLimiter();
+
+        // feedUrl -> { etag, lastModified }
+        this.cache = new Map();
+    }
+
+    /**
+     * Load the validator cache from storage
+     */
+    async loadCache() {
+        try {
+            const cacheData = await this.storage.load('httpCache');
+            if (cacheData) {
+                this.cache = new Map(Object.entries(cacheData));
+                logger.debug(`Loaded HTTP cache for ${this.cache.size} feeds`);
+            }
+        } catch (error) {
+            // The cache only saves bandwidth, so start over if it can't be read
+            logger.error('Error loading HTTP cache:', error);
+            this.cache = new Map();
+        }
+    }
+
+    /**
+     * Save the validator cache to storage
+     */
+    async saveCache() {
+        try {
+            await this.storage.save('httpCache', Object.fromEntries(this.cache));
+        } catch (error) {
+            logger.error('Error saving HTTP cache:', error);
+        }
+    }
+
+    /**
+     * Forget the cached validators of a feed URL
+     * @param {string} feedUrl - RSS feed URL
+     */
+    async forget(feedUrl) {
+        if (this.cache.delete(feedUrl)) {
+            await this.saveCache();
+        }
+    }
+
+    /**
+     * Fetch and parse a feed
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} options - Fetch options
+     * @param {boolean} options.conditional - Send and update cached validators (default true)
+     * @returns {Object} `{ notModified: true, status, duration }` or `{ notModified: false, status, duration, feed }`
+     * @throws {Error} If the request fails or the document can't be parsed; errors after a
+     *                 response carry its HTTP status in `status`, and parse errors set `parseError`.
+     *                 For web pages the error carries the page in `html` and its final URL in
+     *                 `pageUrl`, and when the host is rate limiting it carries the time to retry in `retryAfter`
+     */
+    async fetch(feedUrl, options = {}) {
+        // Time spent waiting for the host limiter doesn't count towards the duration
+        const timing = { startedAt: null };
+        const elapsed = () => timing.startedAt ? Date.now() - timing.startedAt : 0;
+
+        try {
+            const result = await this.request(feedUrl, options, timing);
+            return { ...result, duration: elapsed() };
+        } catch (error) {
+            error.duration = elapsed();
+            throw error;
+        }
+    }
+
+    /**
+     * Download and parse a feed (see fetch)
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} options - Fetch options
+     * @param {boolean} options.conditional - Send and update cached validators (default true)
+     * @param {Object} timing - Receives the time the request was sent in `startedAt`
+     * @returns {Object} `{ notModified: true, status }` or `{ notModified: false, status, feed }`
+     */
+    async request(feedUrl, { conditional = true } = {}, timing = {}) {
+        const headers = {
+            'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, application/json;q=0.9, */*;q=0.8',
+            'User-Agent': this.userAgent
+        };
+
+        const cached = conditional ? this.cache.get(feedUrl) : null;
+        if (cached?.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (cached?.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+
+        const response = await this.limiter.run(feedUrl, () => {
+            timing.startedAt = Date.now();
+            return fetch(feedUrl, {
+                headers: headers,
+                redirect: 'follow',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        });
+
+        if (response.status === 429 || (response.status === 503 && response.headers.get('retry-after'))) {
+            const retryAfter = this.limiter.block(feedUrl, HostLimiter.parseRetryAfter(response.headers.get('retry-after')));
+            const error = new Error(`Status code ${response.status} (rate limited, retrying after ${retryAfter.toISOString()})`);
+            error.status = response.status;
+            error.retryAfter = retryAfter;
+            throw error;
+        }
+
+        if (response.status === 304) {
+            logger.debug(`Feed not modified: ${feedUrl}`);
+            return { notModified: true, status: response.status };
+        }
+
+        if (!response.ok) {
+            const error = new Error(`Status code ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const body = await response.text();
+
+        // Web pages can't be parsed, but the caller may look for feeds linked from them
+        if (feedDiscovery.isHtmlPage(body, response.headers.get('content-type') || '')) {
+            const error = new Error('The URL points to a web page, not a feed');
+            error.status = response.status;
+            error.html = body;
+            error.pageUrl = response.url || feedUrl;
+            throw error;
+        }
+
+        let feed;
+        try {
+            feed = await this.parse(body);
+        } catch (error) {
+            error.status = response.status;
+            error.parseError = true;
+            throw error;
+        }
+
+        if (conditional) {
+            await this.updateCache(feedUrl, response.headers);
+        }
+
+        return { notModified: false, status: response.status, feed: feed };
+    }
+
+    /**
+     * Read how often a feed asks to be checked
+     *
+     * RSS 2.0 feeds can give a `<ttl>` in minutes, and feeds using the
+     * syndication module give `sy:updatePeriod` and `sy:updateFrequency`
+     * (e.g. "hourly" and 2 for twice an hour).
+     *
+     * @param {Object} feed - Parsed feed
+     * @returns {number|null} Shortest time between checks in milliseconds, or null without a hint
+     */
+    static getUpdateHint(feed) {
+        const hints = [];
+
+        const ttl = parseInt(feed?.ttl);
+        if (ttl > 0) {
+            hints.push(ttl * 60 * 1000);
+        }
+
+        const period = UPDATE_PERIODS[String(feed?.updatePeriod || '').trim().toLowerCase()];
+        if (period) {
+            const frequency = parseInt(feed.updateFrequency) || 1;
+            hints.push(period / Math.max(frequency, 1));
+        }
+
+        return hints.length > 0 ? Math.max(...hints) : null;
+    }
+
+    /**
+     * Parse a feed document in any supported format
+     * @param {string} body - Feed document
+     * @returns {Object} Parsed feed
+     */
+    async parse(body) {
+        if (jsonFeed.isJsonFeed(body)) {
+            return jsonFeed.parseJsonFeed(body);
+        }
+
+        return this.parser.parseString(body);
+    }
+
+    /**
+     * Store the validators of a successful response
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Headers} headers - Response headers
+     */
+    async updateCache(feedUrl, headers) {
+        const etag = headers.get('etag');
+        const lastModified = headers.get('last-modified');
+        const cached = this.cache.get(feedUrl);
+
+        if (!etag && !lastModified) {
+            if (cached) {
+                await this.forget(feedUrl);
+            }
+            return;
+        }
+
+        if (cached && cached.etag === etag && cached.lastModified === lastModified) {
+            return;
+        }
+
+        this.cache.set(feedUrl, {
+            etag: etag || null,
+            lastModified: lastModified || null
+        });
+        await this.saveCache();
+    }
+}
+
+module.exports = FeedFetcher;
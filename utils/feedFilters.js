@@ -0,0 +1,227 @@
+/**
+ * Feed Filters Utility
+ *
+ * This module decides whether a feed item should be posted, based on the
+ * include/exclude rules of a subscription.
+ *
+ * Each rule has:
+ * - type: 'include' or 'exclude'
+ * - pattern: a plain keyword (case-insensitive) or a regular expression
+ * - fields: which item fields to match (title, description, categories, author)
+ *
+ * An item is posted when no exclude rule matches it and the include rules
+ * match it according to the subscription's match mode:
+ * - 'any': at least one include rule must match
+ * - 'all': every include rule must match
+ * Subscriptions without include rules accept every item that isn't excluded.
+ *
+ * Rules run on the main thread against text from the feed, so a regular
+ * expression that backtracks badly (e.g. `(a+)+$`) would freeze the bot in
+ * every server. Regular expressions therefore run on RE2, which matches in
+ * linear time and rejects the features that need backtracking
+ * (backreferences and lookarounds). Patterns and the matched text are
+ * limited in length as well.
+ */
+
+const RE2 = require('re2');
+
+const FILTER_FIELDS = ['title', 'description', 'categories', 'author'];
+const MATCH_MODES = ['any', 'all'];
+
+// Longest keyword or regular expression of a rule
+const MAX_PATTERN_LENGTH = 200;
+
+// Characters of each item field a rule is matched against
+const MAX_MATCH_LENGTH = 2000;
+
+// Compiled expression of each rule, so items don't compile it again
+const compiledRules = new WeakMap();
+
+/**
+ * Create the default (empty) filter settings of a subscription
+ * @returns {Object} Filter settings
+ */
+function createDefaultFilters() {
+    return {
+        match: 'any',
+        rules: []
+    };
+}
+
+/**
+ * Normalize stored filter settings, dropping anything invalid
+ * @param {Object} filters - Filter settings loaded from feeds.json
+ * @returns {Object} Filter settings
+ */
+function normalizeFilters(filters) {
+    const normalized = createDefaultFilters();
+    if (!filters) {
+        return normalized;
+    }
+
+    if (MATCH_MODES.includes(filters.match)) {
+        normalized.match = filters.match;
+    }
+
+    if (Array.isArray(filters.rules)) {
+        normalized.rules = filters.rules.filter(rule => {
+            if (!rule || !Array.isArray(rule.fields) || typeof rule.pattern !== 'string') {
+                return false;
+            }
+
+            try {
+                compileRule(rule);
+                return true;
+            } catch {
+                return false;
+            }
+        });
+    }
+
+    return normalized;
+}
+
+/**
+ * Build a rule from user input
+ *
+ * Patterns written as `/expression/flags` are treated as regular
+ * expressions; everything else is a case-insensitive keyword.
+ *
+ * @param {string} type - 'include' or 'exclude'
+ * @param {string} input - Keyword or `/regex/flags`
+ * @param {Array<string>} fields - Item fields to match (defaults to title and description)
+ * @returns {Object} Filter rule
+ * @throws {Error} If the type, fields or pattern are invalid
+ */
+function createRule(type, input, fields = ['title', 'description']) {
+    if (!['include', 'exclude'].includes(type)) {
+        throw new Error('Rule type must be "include" or "exclude"');
+    }
+
+    if (!input || !input.trim()) {
+        throw new Error('A keyword or regular expression is required');
+    }
+
+    const invalidFields = fields.filter(field => !FILTER_FIELDS.includes(field));
+    if (fields.length === 0 || invalidFields.length > 0) {
+        throw new Error(`Fields must be one or more of: ${FILTER_FIELDS.join(', ')}`);
+    }
+
+    const regexMatch = input.trim().match(/^\/(.+)\/([a-z]*)$/);
+    const rule = regexMatch
+        ? { type, pattern: regexMatch[1], regex: true, flags: regexMatch[2].replace(/[gy]/g, ''), fields }
+        : { type, pattern: input.trim(), regex: false, fields };
+
+    // Throws on invalid or too long patterns
+    compileRule(rule);
+
+    return rule;
+}
+
+/**
+ * Compile a rule into a regular expression
+ * @param {Object} rule - Filter rule
+ * @returns {RE2|RegExp} Compiled expression
+ * @throws {Error} If the pattern is too long or not supported by RE2
+ */
+function compileRule(rule) {
+    if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Patterns can be at most ${MAX_PATTERN_LENGTH} characters long`);
+    }
+
+    if (rule.regex) {
+        try {
+            return new RE2(rule.pattern, rule.flags || '');
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message} (backreferences and lookarounds aren't supported)`);
+        }
+    }
+
+    const escaped = rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(escaped, 'i');
+}
+
+/**
+ * Get the text of an item field used for matching
+ * @param {Object} item - RSS feed item
+ * @param {string} field - Field name
+ * @returns {string} Field text
+ */
+function getItemField(item, field) {
+    switch (field) {
+        case 'title':
+            return item.title || '';
+        case 'description':
+            return item.contentSnippet || item.description || item.content || '';
+        case 'categories':
+            return (item.categories || [])
+                .map(category => (typeof category === 'object' ? category._ || '' : category))
+                .join('\n');
+        case 'author':
+            return item.creator || item.author || '';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Check whether a rule matches an item
+ * @param {Object} rule - Filter rule
+ * @param {Object} item - RSS feed item
+ * @returns {boolean} True if any of the rule's fields match
+ */
+function ruleMatches(rule, item) {
+    if (!compiledRules.has(rule)) {
+        compiledRules.set(rule, compileRule(rule));
+    }
+
+    const expression = compiledRules.get(rule);
+    return rule.fields.some(field => expression.test(getItemField(item, field).substring(0, MAX_MATCH_LENGTH)));
+}
+
+/**
+ * Check whether an item passes the filters of a subscription
+ * @param {Object} filters - Filter settings
+ * @param {Object} item - RSS feed item
+ * @returns {boolean} True if the item should be posted
+ */
+function itemPassesFilters(filters, item) {
+    if (!filters || filters.rules.length === 0) {
+        return true;
+    }
+
+    const includes = filters.rules.filter(rule => rule.type === 'include');
+    const excludes = filters.rules.filter(rule => rule.type === 'exclude');
+
+    if (excludes.some(rule => ruleMatches(rule, item))) {
+        return false;
+    }
+
+    if (includes.length === 0) {
+        return true;
+    }
+
+    return filters.match === 'all'
+        ? includes.every(rule => ruleMatches(rule, item))
+        : includes.some(rule => ruleMatches(rule, item));
+}
+
+/**
+ * Describe a rule for display
+ * @param {Object} rule - Filter rule
+ * @returns {string} Human-readable description
+ */
+function describeRule(rule) {
+    const pattern = rule.regex ? `/${rule.pattern}/${rule.flags || ''}` : `"${rule.pattern}"`;
+    return `${rule.type === 'include' ? '✅ Include' : '⛔ Exclude'} ${pattern} in ${rule.fields.join(', ')}`;
+}
+
+module.exports = {
+    FILTER_FIELDS,
+    MATCH_MODES,
+    createDefaultFilters,
+    normalizeFilters,
+    createRule,
+    itemPassesFilters,
+    describeRule
+};
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Feed Health Utility
+ *
+ * This module keeps health metrics for each subscription and decides
+ * whether a feed needs attention. Every check of a feed is recorded:
+ * - when it ran and whether it succeeded
+ * - how long the request took and which HTTP status it returned
+ * - how many items the feed contained and how many of them were new
+ *
+ * Only the newest HEALTH_WINDOW checks are kept, so the success rate
+ * follows how the feed has been doing lately. Parse errors and the time
+ * of the last new item are remembered separately, since they can be
+ * much older than the window.
+ *
+ * Stored form (the `health` field of a subscription in feeds.json):
+ *   {
+ *     "since": "2024-01-01T00:00:00.000Z",
+ *     "checks": [{ "at", "success", "duration", "status", "items", "newItems" }],
+ *     "lastNewItemAt": "2024-01-02T00:00:00.000Z",
+ *     "lastParseError": { "message", "at" }
+ *   }
+ */
+
+// Checks kept per subscription for the success rate
+const HEALTH_WINDOW = 20;
+
+// Checks needed before the success rate is judged
+const MIN_CHECKS_FOR_RATE = 5;
+
+// Requests slower than this are reported (milliseconds)
+const SLOW_FETCH_TIME = 10 * 1000;
+
+// Severity levels, from healthy to worst
+const SEVERITY = {
+    ok: 0,
+    warning: 1,
+    error: 2,
+    critical: 3
+};
+
+/**
+ * Create empty health metrics for a new subscription
+ * @returns {Object} Health metrics
+ */
+function createHealth() {
+    return {
+        since: new Date().toISOString(),
+        checks: [],
+        lastNewItemAt: null,
+        lastParseError: null
+    };
+}
+
+/**
+ * Normalize stored health metrics, dropping anything invalid
+ * @param {Object} health - Health metrics loaded from feeds.json
+ * @returns {Object} Health metrics (new empty metrics if none were stored)
+ */
+function normalizeHealth(health) {
+    if (!health || typeof health !== 'object' || isNaN(Date.parse(health.since))) {
+        return createHealth();
+    }
+
+    const checks = Array.isArray(health.checks)
+        ? health.checks.filter(check => check && !isNaN(Date.parse(check.at)) && typeof check.success === 'boolean')
+        : [];
+
+    return {
+        since: health.since,
+        checks: checks.slice(-HEALTH_WINDOW),
+        lastNewItemAt: isNaN(Date.parse(health.lastNewItemAt)) ? null : health.lastNewItemAt,
+        lastParseError: health.lastParseError && typeof health.lastParseError.message === 'string'
+            ? { message: health.lastParseError.message, at: health.lastParseError.at }
+            : null
+    };
+}
+
+/**
+ * Record one check of a subscription
+ * @param {Object} health - Health metrics (changed in place)
+ * @param {Object} check - Check result
+ * @param {boolean} check.success - Whether the check succeeded
+ * @param {number} check.duration - Request time in milliseconds
+ * @param {number|null} check.status - HTTP status code (null if there was no response)
+ * @param {number|null} check.items - Items in the feed (null if it wasn't downloaded, e.g. 304)
+ * @param {number} check.newItems - New items found by the check
+ * @param {string|null} check.parseError - Error message if the feed couldn't be parsed
+ * @returns {Object} The updated health metrics
+ */
+function recordCheck(health, check) {
+    const now = new Date().toISOString();
+
+    health.checks.push({
+        at: now,
+        success: check.success,
+        duration: check.duration,
+        status: check.status ?? null,
+        items: check.items ?? null,
+        newItems: check.newItems || 0
+    });
+    health.checks = health.checks.slice(-HEALTH_WINDOW);
+
+    if (check.newItems > 0) {
+        health.lastNewItemAt = now;
+    }
+
+    if (check.parseError) {
+        // Parser messages can span several lines
+        health.lastParseError = { message: check.parseError.replace(/\s+/g, ' ').trim(), at: now };
+    }
+
+    return health;
+}
+
+/**
+ * Get the share of successful checks in the window
+ * @param {Object} health - Health metrics
+ * @returns {number|null} Success rate from 0 to 1, or null before the first check
+ */
+function getSuccessRate(health) {
+    if (health.checks.length === 0) {
+        return null;
+    }
+
+    return health.checks.filter(check => check.success).length / health.checks.length;
+}
+
+/**
+ * Get the average of a numeric check field over the window
+ * @param {Object} health - Health metrics
+ * @param {string} field - Check field, e.g. 'duration' or 'items'
+ * @returns {number|null} Average, or null if no check has the field
+ */
+function getAverage(health, field) {
+    const values = health.checks
+        .map(check => check[field])
+        .filter(value => typeof value === 'number');
+
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Work out whether a subscription needs attention
+ *
+ * Paused feeds are never reported. Everything else is judged on:
+ * - critical: disabled after too many failures
+ * - error: the latest checks are failing, or fewer than half of the recent checks succeeded
+ * - warning: no new items for `staleAge`, not checked for several intervals,
+ *   a low success rate, a parse error in the window, or slow requests
+ *
+ * @param {Object} feedInfo - Feed information object
+ * @param {Object} options - Thresholds
+ * @param {number} options.staleAge - Time without new items before a feed is stale (milliseconds)
+ * @param {number} options.checkInterval - Time between checks of the feed, if longer than its own
+ *                                         interval (e.g. because of an update hint)
+ * @returns {Object} `{ severity, problems }`; severity is a SEVERITY value, problems are readable messages
+ */
+function assessHealth(feedInfo, options = {}) {
+    const health = feedInfo.health || createHealth();
+    const now = Date.now();
+    const problems = [];
+    let severity = SEVERITY.ok;
+
+    const report = (level, problem) => {
+        severity = Math.max(severity, level);
+        problems.push(problem);
+    };
+
+    if (feedInfo.disabledReason === 'paused') {
+        return { severity: severity, problems: problems };
+    }
+
+    if (feedInfo.disabledReason === 'failures') {
+        report(SEVERITY.critical, `Disabled after ${feedInfo.failureCount} failed checks in a row`);
+    } else if (feedInfo.failureCount > 0) {
+        report(SEVERITY.error, `Failing (${feedInfo.failureCount} checks in a row)`);
+    }
+
+    const successRate = getSuccessRate(health);
+    if (successRate !== null && health.checks.length >= MIN_CHECKS_FOR_RATE && successRate < 0.9) {
+        report(successRate < 0.5 ? SEVERITY.error : SEVERITY.warning,
+            `Only ${Math.round(successRate * 100)}% of the last ${health.checks.length} checks succeeded`);
+    }
+
+    const windowStart = health.checks.length > 0 ? Date.parse(health.checks[0].at) : now;
+    if (health.lastParseError && Date.parse(health.lastParseError.at) >= windowStart) {
+        report(SEVERITY.warning, `Could not be parsed <t:${Math.floor(Date.parse(health.lastParseError.at) / 1000)}:R>`);
+    }
+
+    // Only feeds that are being checked can go stale or overdue
+    if (feedInfo.active) {
+        const lastNewItem = Date.parse(health.lastNewItemAt || health.since);
+        if (options.staleAge && now - lastNewItem > options.staleAge) {
+            report(SEVERITY.warning, `No new items since <t:${Math.floor(lastNewItem / 1000)}:R>`);
+        }
+
+        // Backing off after failures is expected, so only healthy feeds count as overdue
+        const lastChecked = feedInfo.lastChecked ? feedInfo.lastChecked.getTime() : Date.parse(health.since);
+        const checkInterval = Math.max(feedInfo.interval, options.checkInterval || 0);
+        if (!feedInfo.nextRetryAt && now - lastChecked > checkInterval * 3 + 10 * 60 * 1000) {
+            report(SEVERITY.warning, `Not checked since <t:${Math.floor(lastChecked / 1000)}:R>`);
+        }
+    }
+
+    const averageDuration = getAverage(health, 'duration');
+    if (averageDuration !== null && averageDuration > SLOW_FETCH_TIME) {
+        report(SEVERITY.warning, `Slow requests (${(averageDuration / 1000).toFixed(1)}s on average)`);
+    }
+
+    return { severity: severity, problems: problems };
+}
+
+module.exports = {
+    HEALTH_WINDOW,
+    SEVERITY,
+    createHealth,
+    normalizeHealth,
+    recordCheck,
+    getSuccessRate,
+    getAverage,
+    assessHealth
+};
\ No newline at end of file
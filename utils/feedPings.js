@@ -0,0 +1,136 @@
+/**
+ * Feed Pings Utility
+ *
+ * This module adds role mentions to posted feed items. Each subscription
+ * can have a few ping rules:
+ * - mention: a role ID, or 'here' for @here
+ * - rule: an optional filter rule (see feedFilters.js); the ping is only
+ *   sent for items that pass it, e.g. only when the title contains "outage"
+ *
+ * Only the configured mentions can ever notify anyone. Feed messages are
+ * sent with `allowedMentions` limited to those roles, and any @everyone or
+ * @here written in the feed content itself is defused.
+ */
+
+const feedFilters = require('./feedFilters');
+
+// Most ping rules a subscription can have
+const MAX_PINGS = 10;
+
+// Zero-width space, used to break up mentions in feed content
+const ZERO_WIDTH_SPACE = '\u200b';
+
+/**
+ * Normalize stored ping rules, dropping anything invalid
+ * @param {Array} pings - Ping rules loaded from feeds.json
+ * @returns {Array} Ping rules
+ */
+function normalizePings(pings) {
+    if (!Array.isArray(pings)) {
+        return [];
+    }
+
+    const normalized = [];
+    for (const ping of pings) {
+        if (!ping || (ping.mention !== 'here' && !/^\d+$/.test(ping.mention))) {
+            continue;
+        }
+
+        // A broken condition must not turn into a ping for every item
+        const rules = feedFilters.normalizeFilters({ rules: ping.rule ? [ping.rule] : [] }).rules;
+        if (ping.rule && rules.length === 0) {
+            continue;
+        }
+
+        normalized.push({ mention: ping.mention, rule: rules[0] || null });
+    }
+
+    return normalized.slice(0, MAX_PINGS);
+}
+
+/**
+ * Format the mention of a ping rule
+ * @param {string} mention - Role ID or 'here'
+ * @returns {string} Discord mention
+ */
+function formatMention(mention) {
+    return mention === 'here' ? '@here' : `<@&${mention}>`;
+}
+
+/**
+ * Describe a ping rule for display
+ * @param {Object} ping - Ping rule
+ * @returns {string} Human-readable description
+ */
+function describePing(ping) {
+    return ping.rule
+        ? `${formatMention(ping.mention)} when ${feedFilters.describeRule(ping.rule)}`
+        : `${formatMention(ping.mention)} for every item`;
+}
+
+/**
+ * Find the mentions that apply to an item
+ * @param {Array} pings - Ping rules of the subscription
+ * @param {Object} item - RSS feed item
+ * @returns {Array<string>} Role IDs and/or 'here', without duplicates
+ */
+function getMentions(pings, item) {
+    const mentions = (pings || [])
+        .filter(ping => !ping.rule || feedFilters.itemPassesFilters({ match: 'any', rules: [ping.rule] }, item))
+        .map(ping => ping.mention);
+
+    return [...new Set(mentions)];
+}
+
+/**
+ * Defuse @everyone and @here in text that comes from a feed
+ * @param {string} text - Message text
+ * @returns {string} Text that can't notify everyone
+ */
+function defuseMassMentions(text) {
+    return text.replace(/@(everyone|here)/g, `@${ZERO_WIDTH_SPACE}$1`);
+}
+
+/**
+ * Add the mentions of an item to its message
+ * @param {Object} message - Message options from feedTemplates.buildMessage
+ * @param {Array} pings - Ping rules of the subscription
+ * @param {Object} item - RSS feed item
+ * @returns {Object} Message options with the mentions and matching `allowedMentions`
+ */
+function applyPings(message, pings, item) {
+    const mentions = getMentions(pings, item);
+    const content = message.content ? defuseMassMentions(message.content) : '';
+
+    if (mentions.length === 0) {
+        return {
+            ...message,
+            content: content || undefined,
+            allowedMentions: { parse: [] }
+        };
+    }
+
+    const mentionText = mentions.map(formatMention).join(' ');
+    const fullContent = content ? `${mentionText}\n${content}` : mentionText;
+    const roles = mentions.filter(mention => mention !== 'here');
+
+    return {
+        ...message,
+        // Keep the mentions even if the feed content has to be cut
+        content: fullContent.length > 2000 ? `${fullContent.substring(0, 1997)}...` : fullContent,
+        allowedMentions: {
+            // @here can only be allowed through 'everyone'; the feed content was defused above
+            parse: mentions.includes('here') ? ['everyone'] : [],
+            roles: roles
+        }
+    };
+}
+
+module.exports = {
+    MAX_PINGS,
+    normalizePings,
+    formatMention,
+    describePing,
+    getMentions,
+    applyPings
+};
\ No newline at end of file
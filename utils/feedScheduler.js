@@ -0,0 +1,274 @@
+/**
+ * Feed Scheduler
+ *
+ * This module decides when each feed URL is checked. Instead of one cron
+ * job per feed, a single timer looks for feeds that are due:
+ * - Every feed has its own next-run time, so any interval works
+ *   (a cron expression can't repeat every 90 minutes, for example)
+ * - A random jitter is added to every run, so feeds with the same
+ *   interval drift apart instead of all firing at the same moment
+ * - At most `maxConcurrent` checks run at the same time
+ * - Next-run times are saved to storage, so a restart continues the
+ *   existing schedule instead of checking every feed at once
+ */
+
+const logger = require('./logger');
+
+// How often the scheduler looks for due feeds
+const TICK_INTERVAL = 15 * 1000; // 15 seconds
+
+class FeedScheduler {
+    /**
+     * @param {Object} storage - Storage adapter (see storage.js)
+     * @param {Object} options - Scheduler settings
+     * @param {number} options.maxConcurrent - Most checks running at the same time
+     * @param {number} options.jitter - Random spread of each interval, as a fraction (0.1 = ±10%)
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.maxConcurrent = options.maxConcurrent || 3;
+        this.jitter = options.jitter ?? 0.1;
+
+        // key -> { interval, minInterval, nextRunAt, lastRunAt, running }
+        this.entries = new Map();
+
+        // Next-run times loaded from the file, used when a key is first scheduled
+        this.savedRuns = new Map();
+
+        // Function called with the key of every due feed
+        this.handler = null;
+        this.timer = null;
+        this.running = 0;
+
+        // Whether there are changes that haven't been saved yet
+        this.dirty = false;
+    }
+
+    /**
+     * Update the scheduler settings
+     * @param {Object} options - Scheduler settings (maxConcurrent, jitter)
+     */
+    configure(options = {}) {
+        if (options.maxConcurrent) this.maxConcurrent = options.maxConcurrent;
+        if (options.jitter !== undefined) this.jitter = options.jitter;
+    }
+
+    /**
+     * Load saved next-run times from storage
+     */
+    async load() {
+        this.savedRuns = new Map();
+
+        const data = await this.storage.load('schedule');
+        for (const [key, nextRunAt] of Object.entries(data || {})) {
+            const time = new Date(nextRunAt);
+            if (!Number.isNaN(time.getTime())) {
+                this.savedRuns.set(key, time);
+            }
+        }
+
+        logger.debug(`Loaded ${this.savedRuns.size} scheduled feed checks`);
+    }
+
+    /**
+     * Save the next-run times to storage, if they changed
+     */
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+
+        const data = {};
+        for (const [key, entry] of this.entries.entries()) {
+            data[key] = entry.nextRunAt.toISOString();
+        }
+
+        await this.storage.save('schedule', data);
+        this.dirty = false;
+    }
+
+    /**
+     * Start calling the handler for due feeds
+     * @param {Function} handler - Async function called with the key of each due feed
+     */
+    start(handler) {
+        this.stop();
+        this.handler = handler;
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    /**
+     * Stop the scheduler (checks that already started still finish)
+     *
+     * The schedule itself is kept, so starting again continues it.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Add a feed to the schedule or change its interval
+     *
+     * A feed seen for the first time starts at its saved next-run time. If
+     * it has none, or that time has passed, its first run is spread randomly
+     * over one interval so a restart doesn't check every feed at once.
+     *
+     * @param {string} key - Feed key (normalized feed URL)
+     * @param {number} interval - Check interval in milliseconds
+     */
+    schedule(key, interval) {
+        const now = Date.now();
+        const entry = this.entries.get(key);
+
+        if (entry) {
+            // A shorter interval shouldn't have to wait out the old one
+            if (interval !== entry.interval) {
+                entry.interval = interval;
+                if (entry.nextRunAt.getTime() > now + interval) {
+                    entry.nextRunAt = new Date(now + this.withJitter(interval));
+                    this.dirty = true;
+                }
+            }
+            return;
+        }
+
+        const saved = this.savedRuns.get(key);
+        const nextRunAt = saved && saved.getTime() > now
+            ? new Date(Math.min(saved.getTime(), now + interval * (1 + this.jitter)))
+            : new Date(now + Math.random() * interval);
+
+        this.entries.set(key, { interval: interval, minInterval: 0, nextRunAt: nextRunAt, lastRunAt: null, running: false });
+        this.savedRuns.delete(key);
+        this.dirty = true;
+    }
+
+    /**
+     * Set the shortest time between checks a feed asked for (its update hint)
+     * @param {string} key - Feed key (normalized feed URL)
+     * @param {number|null} minInterval - Shortest interval in milliseconds, or null for none
+     */
+    setMinInterval(key, minInterval) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+
+        entry.minInterval = minInterval || 0;
+
+        // The hint usually arrives with the check, after the next run was already set
+        if (entry.lastRunAt && entry.nextRunAt.getTime() < entry.lastRunAt.getTime() + entry.minInterval) {
+            entry.nextRunAt = new Date(entry.lastRunAt.getTime() + entry.minInterval * (1 + Math.random() * this.jitter));
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Move the next run of a feed back, e.g. after the host asked to retry later
+     * @param {string} key - Feed key (normalized feed URL)
+     * @param {Date} until - Earliest time for the next run
+     */
+    postpone(key, until) {
+        const entry = this.entries.get(key);
+        if (entry && entry.nextRunAt < until) {
+            entry.nextRunAt = new Date(until.getTime() + Math.random() * this.jitter * entry.interval);
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Remove a feed from the schedule
+     * @param {string} key - Feed key (normalized feed URL)
+     */
+    unschedule(key) {
+        if (this.entries.delete(key)) {
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Get the next-run time of a feed
+     * @param {string} key - Feed key (normalized feed URL)
+     * @returns {Date|null} Next-run time, or null if the feed isn't scheduled
+     */
+    getNextRun(key) {
+        return this.entries.get(key)?.nextRunAt || null;
+    }
+
+    /**
+     * Get the time between runs of a feed, including its update hint
+     * @param {string} key - Feed key (normalized feed URL)
+     * @returns {number|null} Interval in milliseconds, or null if the feed isn't scheduled
+     */
+    getInterval(key) {
+        const entry = this.entries.get(key);
+        return entry ? Math.max(entry.interval, entry.minInterval) : null;
+    }
+
+    /**
+     * Number of scheduled feeds
+     * @returns {number} Scheduled feed count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add the random jitter to an interval
+     * @param {number} interval - Interval in milliseconds
+     * @returns {number} Interval with jitter
+     */
+    withJitter(interval) {
+        return interval * (1 + (Math.random() * 2 - 1) * this.jitter);
+    }
+
+    /**
+     * Start the due feeds, oldest first, up to the concurrency limit
+     */
+    tick() {
+        if (!this.handler) {
+            return;
+        }
+
+        const now = Date.now();
+        const due = [...this.entries.entries()]
+            .filter(([, entry]) => !entry.running && entry.nextRunAt.getTime() <= now)
+            .sort(([, a], [, b]) => a.nextRunAt - b.nextRunAt);
+
+        for (const [key, entry] of due) {
+            if (this.running >= this.maxConcurrent) {
+                break;
+            }
+
+            this.run(key, entry);
+        }
+    }
+
+    /**
+     * Schedule the next run of a feed and check it
+     * @param {string} key - Feed key (normalized feed URL)
+     * @param {Object} entry - Schedule entry
+     */
+    async run(key, entry) {
+        entry.running = true;
+        entry.lastRunAt = new Date();
+        this.running++;
+
+        // Set before the check, so the check's own save already stores it
+        entry.nextRunAt = new Date(Date.now() + Math.max(this.withJitter(entry.interval), entry.minInterval));
+        this.dirty = true;
+
+        try {
+            await this.handler(key);
+        } catch (error) {
+            logger.error(`Error in scheduled check of ${key}:`, error);
+        } finally {
+            entry.running = false;
+            this.running--;
+        }
+    }
+}
+
+module.exports = FeedScheduler;
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * Feed Templates Utility
+ *
+ * This module turns a feed item into a Discord message using the template
+ * of a subscription. Templates support two formats:
+ * - 'embed': a rich embed (with optional message text above it)
+ * - 'text': a plain-text message, e.g. a title and a link
+ *
+ * Template strings can use these placeholders:
+ * {title}, {link}, {author}, {summary}, {feedTitle}, {pubDate}, {categories}
+ *
+ * Unknown placeholders are left untouched, and a literal `\n` becomes a
+ * line break so multi-line templates can be typed in a single command.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+
+const PLACEHOLDERS = ['title', 'link', 'author', 'summary', 'feedTitle', 'pubDate', 'categories'];
+const FORMATS = ['embed', 'text'];
+
+// Layout used by subscriptions without a custom template
+const DEFAULT_TEMPLATE = {
+    format: 'embed',
+    content: null,
+    title: '{title}',
+    description: '{summary}',
+    footer: '{feedTitle}',
+    color: 0x0099FF,
+    thumbnail: true
+};
+
+// Message text used by the text format when no content template is set
+const DEFAULT_TEXT_CONTENT = '**{title}**\\n{link}';
+
+/**
+ * Merge a stored template with the defaults, dropping unknown or invalid keys
+ * @param {Object|null} template - Template loaded from feeds.json
+ * @returns {Object} Complete template
+ */
+function normalizeTemplate(template) {
+    const normalized = { ...DEFAULT_TEMPLATE };
+    if (!template) {
+        return normalized;
+    }
+
+    if (FORMATS.includes(template.format)) normalized.format = template.format;
+    for (const key of ['content', 'title', 'description', 'footer']) {
+        if (typeof template[key] === 'string' || template[key] === null) {
+            normalized[key] = template[key];
+        }
+    }
+    if (Number.isInteger(template.color) && template.color >= 0 && template.color <= 0xFFFFFF) {
+        normalized.color = template.color;
+    }
+    if (typeof template.thumbnail === 'boolean') normalized.thumbnail = template.thumbnail;
+
+    return normalized;
+}
+
+/**
+ * Check whether a template only contains default values
+ * @param {Object} template - Complete template
+ * @returns {boolean} True if nothing was customized
+ */
+function isDefaultTemplate(template) {
+    return Object.keys(DEFAULT_TEMPLATE).every(key => template[key] === DEFAULT_TEMPLATE[key]);
+}
+
+/**
+ * Build the placeholder values for an item
+ * @param {Object} feed - RSS feed object
+ * @param {Object} item - RSS feed item
+ * @returns {Object} Placeholder values
+ */
+function buildVariables(feed, item) {
+    const date = item.isoDate || item.pubDate;
+    const timestamp = date ? Math.floor(new Date(date).getTime() / 1000) : NaN;
+
+    const categories = (item.categories || [])
+        .map(category => (typeof category === 'object' ? category._ || '' : category))
+        .filter(category => category);
+
+    return {
+        title: item.title || 'No Title',
+        link: item.link || '',
+        author: item.creator || item.author || '',
+        summary: (item.contentSnippet || item.description || '').trim(),
+        feedTitle: feed.title || 'RSS Feed',
+        // Discord renders this in each reader's own timezone
+        pubDate: Number.isNaN(timestamp) ? '' : `<t:${timestamp}:f>`,
+        categories: categories.join(', ')
+    };
+}
+
+/**
+ * Replace the placeholders of a template string
+ * @param {string} text - Template string
+ * @param {Object} variables - Placeholder values
+ * @returns {string} Rendered text
+ */
+function render(text, variables) {
+    if (!text) {
+        return '';
+    }
+
+    return text
+        .replace(/\\n/g, '\n')
+        .replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(variables, name) ? variables[name] : match))
+        .trim();
+}
+
+/**
+ * Truncate text to a Discord length limit
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Truncated text
+ */
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) {
+        return text;
+    }
+    return text.substring(0, maxLength - 3) + '...';
+}
+
+/**
+ * Build the Discord message for a feed item
+ * @param {Object} template - Complete template (see `normalizeTemplate`)
+ * @param {Object} feed - RSS feed object
+ * @param {Object} item - RSS feed item
+ * @returns {Object} Message options (`content` and/or `embeds`)
+ */
+function buildMessage(template, feed, item) {
+    const variables = buildVariables(feed, item);
+
+    if (template.format === 'text') {
+        const content = render(template.content || DEFAULT_TEXT_CONTENT, variables);
+        return { content: truncate(content || variables.title, 2000) };
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(truncate(render(template.title, variables) || variables.title, 256))
+        .setURL(item.link || null)
+        .setDescription(truncate(render(template.description, variables) || 'No description available', 4096))
+        .setColor(template.color)
+        .setTimestamp(item.pubDate ? new Date(item.pubDate) : new Date());
+
+    const footer = render(template.footer, variables);
+    if (footer) {
+        embed.setFooter({
+            text: truncate(footer, 2048),
+            iconURL: feed.image?.url || null
+        });
+    }
+
+    // Add author if available
+    if (variables.author) {
+        embed.setAuthor({
+            name: truncate(variables.author, 256)
+        });
+    }
+
+    // Add thumbnail if available
+    const thumbnailUrl = item.mediaThumbnail?.$?.url || item.mediaThumbnail?.url ||
+        item.mediaContent?.$?.url || item.mediaContent?.url;
+    if (template.thumbnail && thumbnailUrl) {
+        embed.setThumbnail(thumbnailUrl);
+    }
+
+    const message = { embeds: [embed] };
+
+    const content = render(template.content, variables);
+    if (content) {
+        message.content = truncate(content, 2000);
+    }
+
+    return message;
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    FORMATS,
+    DEFAULT_TEMPLATE,
+    normalizeTemplate,
+    isDefaultTemplate,
+    buildMessage
+};
\ No newline at end of file
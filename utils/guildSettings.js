@@ -0,0 +1,228 @@
+/**
+ * Guild Settings Store
+ *
+ * This module keeps the settings each server (guild) can change for
+ * itself with the settings command:
+ * - prefix: command prefix
+ * - maxFeedsPerChannel / maxFeedsPerGuild: feed limits, which can only
+ *   be lowered below the bot-wide limits in config.json
+ * - defaultInterval: check interval of feeds added without one
+ * - embedColor: embed color of feeds that don't set their own
+ * - allowedDomains: the only domains feeds may be added from (empty: any)
+ *
+ * Only the settings a server changed are stored; everything else follows
+ * the bot-wide defaults, so changes to config.json still reach servers
+ * that never customized a setting.
+ */
+
+const configSchema = require('./configSchema');
+const logger = require('./logger');
+
+// Most allowed domains per server
+const MAX_ALLOWED_DOMAINS = 50;
+
+// Settings a server can change, with the same rule format as configSchema.js
+const GUILD_SETTINGS = {
+    prefix: { type: 'string', maxLength: 5, description: 'Command prefix' },
+    maxFeedsPerChannel: { type: 'integer', min: 1, max: 100, description: 'Most feeds in one channel' },
+    maxFeedsPerGuild: { type: 'integer', min: 1, max: 10000, description: 'Most feeds in this server' },
+    defaultInterval: { type: 'integer', min: 60 * 1000, max: 24 * 60 * 60 * 1000, description: 'Check interval of feeds added without one' },
+    embedColor: { type: 'integer', min: 0, max: 0xFFFFFF, description: 'Embed color of feeds without their own color' },
+    allowedDomains: { type: 'domains', description: 'Domains feeds may be added from' }
+};
+
+// Settings that can't go above the bot-wide value
+const CAPPED_SETTINGS = ['maxFeedsPerChannel', 'maxFeedsPerGuild'];
+
+/**
+ * Normalize a domain name
+ * @param {string} domain - Domain, optionally written as a URL
+ * @returns {string|null} Lowercase host name, or null if it isn't a valid domain
+ */
+function normalizeDomain(domain) {
+    const host = String(domain).trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/:?#].*$/, '')
+        .replace(/^\*\./, '')
+        .replace(/\.$/, '');
+
+    return /^([a-z0-9-]+\.)+[a-z0-9-]+$/.test(host) ? host : null;
+}
+
+/**
+ * Check one setting value
+ * @param {string} key - Setting name
+ * @param {*} value - Value to check
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function checkSetting(key, value) {
+    const rule = GUILD_SETTINGS[key];
+    if (!rule) {
+        return `"${key}" is not a server setting`;
+    }
+
+    if (rule.type === 'domains') {
+        if (!Array.isArray(value) || value.some(domain => normalizeDomain(domain) !== domain)) {
+            return 'must be a list of domain names';
+        }
+        return value.length > MAX_ALLOWED_DOMAINS ? `can have at most ${MAX_ALLOWED_DOMAINS} domains` : null;
+    }
+
+    if (key === 'prefix' && /\s/.test(value)) {
+        return 'must not contain spaces';
+    }
+
+    return configSchema.checkValue(rule, value);
+}
+
+class GuildSettingsStore {
+    /**
+     * @param {Object} storage - Storage adapter (see storage.js)
+     * @param {Function} getDefaults - Returns the bot-wide value of every setting
+     */
+    constructor(storage, getDefaults) {
+        this.storage = storage;
+        this.getDefaults = getDefaults;
+
+        // guildId -> settings the server changed
+        this.guilds = new Map();
+    }
+
+    /**
+     * Load the settings from storage, dropping invalid values
+     */
+    async load() {
+        this.guilds = new Map();
+
+        const data = await this.storage.load('guildSettings');
+        for (const [guildId, settings] of Object.entries(data || {})) {
+            const valid = {};
+            for (const [key, value] of Object.entries(settings || {})) {
+                const problem = checkSetting(key, value);
+                if (problem) {
+                    logger.warn(`Ignoring invalid setting "${key}" of guild ${guildId}: ${problem}`);
+                } else {
+                    valid[key] = value;
+                }
+            }
+
+            if (Object.keys(valid).length > 0) {
+                this.guilds.set(guildId, valid);
+            }
+        }
+
+        logger.debug(`Loaded settings of ${this.guilds.size} guilds`);
+    }
+
+    /**
+     * Save the settings to storage
+     */
+    async save() {
+        await this.storage.save('guildSettings', Object.fromEntries(this.guilds));
+    }
+
+    /**
+     * Get the effective settings of a server
+     * @param {string|null} guildId - Discord guild ID (null in DMs)
+     * @returns {Object} Every setting, with the server's own values where it has them
+     */
+    get(guildId) {
+        const defaults = this.getDefaults();
+        const settings = { ...defaults, ...(guildId ? this.guilds.get(guildId) : null) };
+
+        for (const key of CAPPED_SETTINGS) {
+            settings[key] = Math.min(settings[key], defaults[key]);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Get the settings a server changed itself
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object} Changed settings (empty if none)
+     */
+    getOverrides(guildId) {
+        return { ...(this.guilds.get(guildId) || {}) };
+    }
+
+    /**
+     * Get the command prefix of a server
+     * @param {string|null} guildId - Discord guild ID (null in DMs)
+     * @returns {string} Command prefix
+     */
+    getPrefix(guildId) {
+        return this.get(guildId).prefix;
+    }
+
+    /**
+     * Change a setting of a server
+     * @param {string} guildId - Discord guild ID
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     * @throws {Error} If the value isn't valid for the setting
+     */
+    set(guildId, key, value) {
+        const problem = checkSetting(key, value);
+        if (problem) {
+            throw new Error(`${key} ${problem}`);
+        }
+
+        if (CAPPED_SETTINGS.includes(key)) {
+            const limit = this.getDefaults()[key];
+            if (value > limit) {
+                throw new Error(`${key} can be at most ${limit}, the limit set by the bot owner`);
+            }
+        }
+
+        this.guilds.set(guildId, { ...this.guilds.get(guildId), [key]: value });
+    }
+
+    /**
+     * Return a setting of a server to the bot-wide default
+     * @param {string} guildId - Discord guild ID
+     * @param {string|null} key - Setting name, or null to reset every setting
+     */
+    reset(guildId, key = null) {
+        const settings = this.getOverrides(guildId);
+        if (key) {
+            delete settings[key];
+        }
+
+        if (!key || Object.keys(settings).length === 0) {
+            this.guilds.delete(guildId);
+        } else {
+            this.guilds.set(guildId, settings);
+        }
+    }
+
+    /**
+     * Check whether a feed URL is on a server's allowed domains
+     * @param {string|null} guildId - Discord guild ID
+     * @param {string} url - Feed URL
+     * @returns {boolean} True if the feed may be added
+     */
+    isDomainAllowed(guildId, url) {
+        const allowedDomains = this.get(guildId).allowedDomains;
+        if (allowedDomains.length === 0) {
+            return true;
+        }
+
+        let host;
+        try {
+            host = new URL(url).hostname.toLowerCase();
+        } catch {
+            return false;
+        }
+
+        // A domain also allows its subdomains
+        return allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    }
+}
+
+module.exports = {
+    GUILD_SETTINGS,
+    MAX_ALLOWED_DOMAINS,
+    normalizeDomain,
+    GuildSettingsStore
+};
\ No newline at end of file
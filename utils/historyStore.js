@@ -0,0 +1,195 @@
+/**
+ * History Store Utility
+ *
+ * This module keeps an archive of every feed item the bot has posted, so
+ * old items can be browsed and searched from Discord. Each entry records:
+ * - The item title, link and a short text snippet
+ * - The feed URL and title
+ * - The channel and Discord message the item was posted as
+ * - When it was posted
+ *
+ * The archive is limited by `maxItems` (oldest entries are dropped first)
+ * and `maxAge`, and is saved to storage so it survives restarts. Each
+ * entry is stored under its own ID, so database storage only has to
+ * write new entries.
+ */
+
+const logger = require('./logger');
+
+// Length of the text snippet kept for full-text search
+const SNIPPET_LENGTH = 300;
+
+// Counter that keeps entry IDs unique within this process
+let idCounter = 0;
+
+/**
+ * Create a unique entry ID
+ * @returns {string} Entry ID
+ */
+function createId() {
+    return `${Date.now().toString(36)}-${(idCounter++).toString(36)}`;
+}
+
+class HistoryStore {
+    /**
+     * @param {Object} storage - Storage adapter (see storage.js)
+     * @param {Object} options - Store limits
+     * @param {number} options.maxItems - Maximum number of entries kept
+     * @param {number} options.maxAge - Maximum entry age in milliseconds
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.maxItems = options.maxItems || 10000;
+        this.maxAge = options.maxAge || 90 * 24 * 60 * 60 * 1000; // 90 days
+
+        // Posted items, oldest first
+        this.entries = [];
+
+        // Whether there are changes that haven't been saved yet
+        this.dirty = false;
+    }
+
+    /**
+     * Update the store limits
+     * @param {Object} options - Store limits (maxItems, maxAge)
+     */
+    configure(options = {}) {
+        if (options.maxItems) this.maxItems = options.maxItems;
+        if (options.maxAge) this.maxAge = options.maxAge;
+    }
+
+    /**
+     * Load the history from storage
+     */
+    async load() {
+        this.entries = [];
+
+        const data = await this.storage.load('history');
+        if (!data) {
+            return;
+        }
+
+        // Older versions stored a plain array without entry IDs
+        this.entries = (Array.isArray(data) ? data : Object.values(data))
+            .map(entry => entry.id ? entry : { id: createId(), ...entry })
+            .sort((a, b) => new Date(a.postedAt) - new Date(b.postedAt));
+        this.dirty = Array.isArray(data);
+        this.prune();
+
+        logger.debug(`Loaded ${this.entries.length} history entries`);
+    }
+
+    /**
+     * Save the history to storage, if it changed
+     */
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+
+        this.prune();
+        const data = {};
+        for (const entry of this.entries) {
+            data[entry.id] = entry;
+        }
+
+        await this.storage.save('history', data);
+        this.dirty = false;
+    }
+
+    /**
+     * Record a posted item
+     * @param {Object} entry - History entry
+     * @param {string} entry.channelId - Discord channel ID
+     * @param {string} entry.feedUrl - RSS feed URL
+     * @param {string} entry.feedTitle - Feed title
+     * @param {Object} entry.item - RSS feed item
+     * @param {string|null} entry.messageId - ID of the Discord message (or forum post)
+     * @param {string|null} entry.messageUrl - Link to the Discord message
+     */
+    add({ channelId, feedUrl, feedTitle, item, messageId, messageUrl }) {
+        const snippet = (item.contentSnippet || item.description || '').replace(/\s+/g, ' ').trim();
+
+        this.entries.push({
+            id: createId(),
+            title: item.title || 'No Title',
+            link: item.link || null,
+            snippet: snippet.substring(0, SNIPPET_LENGTH),
+            feedUrl: feedUrl,
+            feedTitle: feedTitle,
+            channelId: channelId,
+            messageId: messageId || null,
+            messageUrl: messageUrl || null,
+            postedAt: new Date().toISOString()
+        });
+
+        this.dirty = true;
+    }
+
+    /**
+     * Get one page of entries, newest first
+     * @param {Function} predicate - Returns true for entries to include
+     * @param {number} page - 1-based page number
+     * @param {number} pageSize - Entries per page
+     * @returns {Object} `{ entries, page, totalPages, total }`
+     */
+    page(predicate, page = 1, pageSize = 10) {
+        const matches = this.entries.filter(predicate).reverse();
+        const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+        const currentPage = Math.min(Math.max(page, 1), totalPages);
+
+        return {
+            entries: matches.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+            page: currentPage,
+            totalPages: totalPages,
+            total: matches.length
+        };
+    }
+
+    /**
+     * Search the history, newest first
+     *
+     * Every search term must appear in the title, link, snippet or feed
+     * title of an entry (ignoring case). Terms in double quotes are matched
+     * as a phrase.
+     *
+     * @param {string} query - Search terms
+     * @param {Function} predicate - Returns true for entries that may be returned
+     * @param {number} page - 1-based page number
+     * @param {number} pageSize - Entries per page
+     * @returns {Object} `{ entries, page, totalPages, total }`
+     */
+    search(query, predicate, page = 1, pageSize = 10) {
+        const terms = (query.match(/"[^"]+"|\S+/g) || [])
+            .map(term => term.replace(/^"|"$/g, '').toLowerCase())
+            .filter(term => term);
+
+        return this.page(entry => {
+            if (!predicate(entry)) {
+                return false;
+            }
+
+            const text = `${entry.title}\n${entry.link || ''}\n${entry.snippet}\n${entry.feedTitle}`.toLowerCase();
+            return terms.every(term => text.includes(term));
+        }, page, pageSize);
+    }
+
+    /**
+     * Apply the age and size limits
+     */
+    prune() {
+        const cutoff = Date.now() - this.maxAge;
+        const before = this.entries.length;
+
+        this.entries = this.entries.filter(entry => new Date(entry.postedAt).getTime() >= cutoff);
+        if (this.entries.length > this.maxItems) {
+            this.entries = this.entries.slice(-this.maxItems);
+        }
+
+        if (this.entries.length !== before) {
+            this.dirty = true;
+        }
+    }
+}
+
+module.exports = HistoryStore;
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * Host Limiter Utility
+ *
+ * This module keeps feed requests polite towards the servers they go to.
+ * Many feeds often live on the same few hosts (subreddits, GitHub release
+ * feeds), so requests are limited per host:
+ * - Requests to one host are spaced at least `minSpacing` apart
+ * - At most `maxConcurrent` requests to one host run at the same time
+ * - A host that answered 429/503 is left alone until its `Retry-After`
+ *   time has passed; requests in the meantime fail straight away instead
+ *   of waiting, so they don't hold up feeds on other hosts
+ */
+
+const logger = require('./logger');
+
+// How long a host is left alone after a 429/503 without a Retry-After header
+const DEFAULT_BLOCK_TIME = 60 * 1000; // 1 minute
+
+// Longest Retry-After that is respected as given
+const MAX_BLOCK_TIME = 24 * 60 * 60 * 1000; // 24 hours
+
+class HostLimiter {
+    /**
+     * @param {Object} options - Limiter settings
+     * @param {number} options.minSpacing - Minimum time between requests to one host, in milliseconds
+     * @param {number} options.maxConcurrent - Most requests to one host running at the same time
+     */
+    constructor(options = {}) {
+        this.minSpacing = options.minSpacing ?? 2000;
+        this.maxConcurrent = options.maxConcurrent || 2;
+
+        // host -> { active, nextStartAt, blockedUntil, waiting: Array<Function> }
+        this.hosts = new Map();
+    }
+
+    /**
+     * Update the limiter settings
+     * @param {Object} options - Limiter settings (minSpacing, maxConcurrent)
+     */
+    configure(options = {}) {
+        if (options.minSpacing !== undefined) this.minSpacing = options.minSpacing;
+        if (options.maxConcurrent) this.maxConcurrent = options.maxConcurrent;
+    }
+
+    /**
+     * Get the host a URL is limited under
+     * @param {string} url - Request URL
+     * @returns {string} Host name (lowercase)
+     */
+    static getHost(url) {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch {
+            return url;
+        }
+    }
+
+    /**
+     * Parse a Retry-After header
+     * @param {string|null} value - Header value (seconds or an HTTP date)
+     * @returns {Date|null} Time after which requests may be sent again
+     */
+    static parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        const seconds = /^\d+$/.test(value.trim()) ? parseInt(value) : null;
+        const time = seconds !== null ? Date.now() + seconds * 1000 : new Date(value).getTime();
+
+        if (Number.isNaN(time)) {
+            return null;
+        }
+
+        return new Date(Math.min(time, Date.now() + MAX_BLOCK_TIME));
+    }
+
+    /**
+     * Get the state of a host
+     * @param {string} host - Host name
+     * @returns {Object} Host state
+     */
+    getState(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { active: 0, nextStartAt: 0, blockedUntil: 0, waiting: [] });
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Leave a host alone until a given time
+     * @param {string} url - Request URL on the host
+     * @param {Date|null} until - Block end (default: one minute from now)
+     * @returns {Date} Block end
+     */
+    block(url, until = null) {
+        const host = HostLimiter.getHost(url);
+        const state = this.getState(host);
+        const blockedUntil = until ? until.getTime() : Date.now() + DEFAULT_BLOCK_TIME;
+
+        state.blockedUntil = Math.max(state.blockedUntil, blockedUntil);
+        logger.warn(`Rate limited by ${host}, pausing requests until ${new Date(state.blockedUntil).toISOString()}`);
+
+        return new Date(state.blockedUntil);
+    }
+
+    /**
+     * Run a request once its host allows it
+     * @param {string} url - Request URL
+     * @param {Function} task - Async function that sends the request
+     * @returns {*} Result of the task
+     * @throws {Error} If the host is blocked (the error carries the block end in `retryAfter`)
+     */
+    async run(url, task) {
+        const host = HostLimiter.getHost(url);
+        const state = this.getState(host);
+
+        await this.acquire(host, state);
+
+        try {
+            return await task();
+        } finally {
+            state.active--;
+            this.release(state);
+        }
+    }
+
+    /**
+     * Wait for a free request slot on a host
+     * @param {string} host - Host name
+     * @param {Object} state - Host state
+     */
+    async acquire(host, state) {
+        for (;;) {
+            if (state.blockedUntil > Date.now()) {
+                const error = new Error(`Rate limited by ${host}, retrying after ${new Date(state.blockedUntil).toISOString()}`);
+                error.retryAfter = new Date(state.blockedUntil);
+
+                // Pass the wake-up on, so other waiting requests fail too instead of hanging
+                this.release(state);
+                throw error;
+            }
+
+            if (state.active < this.maxConcurrent) {
+                const wait = state.nextStartAt - Date.now();
+                if (wait <= 0) {
+                    state.active++;
+                    state.nextStartAt = Date.now() + this.minSpacing;
+                    return;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, wait));
+                continue;
+            }
+
+            // Wait for a running request to finish
+            await new Promise(resolve => state.waiting.push(resolve));
+        }
+    }
+
+    /**
+     * Wake the next request waiting for a slot on a host
+     * @param {Object} state - Host state
+     */
+    release(state) {
+        const next = state.waiting.shift();
+        if (next) {
+            next();
+        }
+    }
+}
+
+module.exports = HostLimiter;
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * JSON Feed Utility
+ *
+ * This module adds support for JSON Feed (https://www.jsonfeed.org/),
+ * a feed format that uses JSON instead of XML. Versions 1.0 and 1.1 are
+ * supported.
+ *
+ * JSON Feed documents are converted into the same shape rss-parser
+ * produces for RSS and Atom feeds, so filters, templates and duplicate
+ * detection work the same for every format:
+ * - id -> guid
+ * - url (or external_url) -> link
+ * - date_published -> isoDate / pubDate
+ * - content_html / content_text -> content, summary -> contentSnippet
+ * - authors (or the 1.0 author) -> creator
+ * - tags -> categories
+ * - image (or banner_image) -> mediaThumbnail
+ */
+
+// Every JSON Feed version URL starts with this prefix
+const VERSION_PREFIX = 'https://jsonfeed.org/version/';
+
+// Longest plain-text summary built from item content
+const MAX_SNIPPET_LENGTH = 1000;
+
+/**
+ * Check whether a response body is a JSON document
+ *
+ * XML feeds always start with `<`, so any body starting with `{` is
+ * handed to the JSON Feed parser, whatever Content-Type the server sent.
+ *
+ * @param {string} body - Response body
+ * @returns {boolean} True if the body should be parsed as JSON Feed
+ */
+function isJsonFeed(body) {
+    return body.trimStart().startsWith('{');
+}
+
+/**
+ * Turn HTML into plain text
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(br|\/p|\/div|\/li|\/h\d)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Get the author name of an item or feed
+ * @param {Object} source - JSON Feed item or top-level object
+ * @returns {string|undefined} Author names, comma-separated
+ */
+function getAuthor(source) {
+    // Version 1.1 uses an `authors` array, version 1.0 a single `author`
+    const authors = Array.isArray(source.authors) ? source.authors : (source.author ? [source.author] : []);
+    const names = authors
+        .map(author => author?.name)
+        .filter(name => typeof name === 'string' && name.trim());
+
+    return names.length > 0 ? names.join(', ') : undefined;
+}
+
+/**
+ * Convert a JSON Feed item to the rss-parser item shape
+ * @param {Object} item - JSON Feed item
+ * @param {Object} document - JSON Feed top-level object (for the feed author)
+ * @returns {Object} Feed item
+ */
+function convertItem(item, document) {
+    const content = typeof item.content_html === 'string'
+        ? item.content_html
+        : (typeof item.content_text === 'string' ? item.content_text : undefined);
+
+    let snippet = typeof item.summary === 'string' ? item.summary.trim() : '';
+    if (!snippet && content) {
+        snippet = htmlToText(content).substring(0, MAX_SNIPPET_LENGTH);
+    }
+
+    const date = item.date_published || item.date_modified;
+    const parsedDate = date ? new Date(date) : null;
+    const validDate = parsedDate && !Number.isNaN(parsedDate.getTime()) ? parsedDate : null;
+
+    const image = item.image || item.banner_image;
+
+    return {
+        // Ids may be numbers in older feeds, but are always compared as strings
+        guid: item.id !== undefined && item.id !== null ? String(item.id) : undefined,
+        title: typeof item.title === 'string' ? item.title : undefined,
+        link: item.url || item.external_url || undefined,
+        pubDate: validDate ? validDate.toUTCString() : undefined,
+        isoDate: validDate ? validDate.toISOString() : undefined,
+        creator: getAuthor(item) || getAuthor(document),
+        content: content,
+        contentSnippet: snippet || undefined,
+        description: typeof item.summary === 'string' ? item.summary : undefined,
+        categories: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : [],
+        mediaThumbnail: typeof image === 'string' ? { url: image } : undefined
+    };
+}
+
+/**
+ * Parse a JSON Feed document
+ * @param {string} body - Response body
+ * @returns {Object} Feed in the rss-parser shape (`title`, `description`, `link`, `image`, `items`)
+ * @throws {Error} If the body is not a valid JSON Feed document
+ */
+function parseJsonFeed(body) {
+    let document;
+    try {
+        document = JSON.parse(body);
+    } catch (error) {
+        throw new Error(`Invalid JSON Feed: ${error.message}`);
+    }
+
+    if (!document || typeof document.version !== 'string' || !document.version.startsWith(VERSION_PREFIX)) {
+        throw new Error('Invalid JSON Feed: missing or unknown version');
+    }
+    if (!Array.isArray(document.items)) {
+        throw new Error('Invalid JSON Feed: missing items');
+    }
+
+    const icon = document.icon || document.favicon;
+
+    return {
+        title: document.title,
+        description: document.description,
+        link: document.home_page_url,
+        feedUrl: document.feed_url,
+        image: typeof icon === 'string' ? { url: icon } : undefined,
+        items: document.items
+            .filter(item => item && typeof item === 'object')
+            .map(item => convertItem(item, document))
+    };
+}
+
+module.exports = {
+    isJsonFeed,
+    parseJsonFeed
+};
\ No newline at end of file
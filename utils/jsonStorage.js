@@ -0,0 +1,157 @@
+/**
+ * JSON Storage Adapter
+ *
+ * This adapter keeps each collection in its own JSON file in the data
+ * directory (`feeds.json`, `seenItems.json`...), the bot's original format.
+ *
+ * Files are written atomically (see safeJson.js). feeds.json also keeps
+ * rotated backups, and is recovered from the newest readable backup when
+ * it can't be parsed on startup.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const logger = require('./logger');
+const safeJson = require('./safeJson');
+
+// Collections written as indented JSON; the others are written compactly
+const PRETTY_COLLECTIONS = ['feeds', 'config', 'seenItems', 'digests', 'httpCache', 'guildSettings'];
+
+// Collections that keep rotated backups
+const BACKUP_COLLECTIONS = ['feeds'];
+
+// How often watched files are checked for changes
+const WATCH_INTERVAL = 2000; // 2 seconds
+
+class JsonStorage {
+    /**
+     * @param {string} dataPath - Directory holding the JSON files
+     * @param {Object} options - Backup settings
+     * @param {number} options.backups - Number of rotated backups to keep
+     * @param {number} options.backupInterval - Minimum time between backups in milliseconds
+     */
+    constructor(dataPath, options = {}) {
+        this.dataPath = dataPath;
+        this.backups = options.backups ?? 5;
+        this.backupInterval = options.backupInterval ?? 3600000;
+    }
+
+    /**
+     * Update the backup settings
+     * @param {Object} options - Backup settings (backups, backupInterval)
+     */
+    configure(options = {}) {
+        if (options.backups !== undefined) this.backups = options.backups;
+        if (options.backupInterval !== undefined) this.backupInterval = options.backupInterval;
+    }
+
+    /**
+     * Get the file of a collection
+     * @param {string} collection - Collection name
+     * @returns {string} Path of the JSON file
+     */
+    getFile(collection) {
+        return path.join(this.dataPath, `${collection}.json`);
+    }
+
+    /**
+     * Prepare the data directory
+     */
+    async open() {
+        await fs.ensureDir(this.dataPath);
+    }
+
+    /**
+     * Nothing to close for JSON files
+     */
+    async close() {}
+
+    /**
+     * Describe the storage for logs
+     * @returns {string} Description
+     */
+    describe() {
+        return `JSON files in ${this.dataPath}`;
+    }
+
+    /**
+     * Load a collection
+     * @param {string} collection - Collection name
+     * @returns {Object|null} Stored data, or null if the file doesn't exist
+     * @throws {Error} If the file can't be read (for feeds: neither the file nor a backup)
+     */
+    async load(collection) {
+        const filePath = this.getFile(collection);
+
+        if (!BACKUP_COLLECTIONS.includes(collection)) {
+            if (!(await fs.pathExists(filePath))) {
+                return null;
+            }
+            return fs.readJson(filePath);
+        }
+
+        let stored;
+        try {
+            stored = await safeJson.readJsonSafe(filePath, { backups: this.backups });
+        } catch (error) {
+            // Keep the broken file so the next save doesn't overwrite what is left of it
+            if (await fs.pathExists(filePath)) {
+                const brokenFile = await safeJson.quarantine(filePath);
+                logger.error(`${path.basename(filePath)} could not be read and was moved to ${brokenFile}`);
+            }
+            throw new Error(`No readable backup of ${path.basename(filePath)} was found`);
+        }
+
+        if (stored?.recoveredFrom) {
+            // Move the broken file out of the way before the next save rotates it into the backups
+            if (await fs.pathExists(filePath)) {
+                const brokenFile = await safeJson.quarantine(filePath);
+                logger.warn(`${path.basename(filePath)} could not be read and was moved to ${brokenFile}`);
+            }
+            logger.warn(`Recovered ${collection} from backup ${stored.recoveredFrom}`);
+        }
+
+        return stored ? stored.data : null;
+    }
+
+    /**
+     * Call a function whenever the file of a collection changes
+     *
+     * Files are polled instead of using file system events, because an
+     * atomic write replaces the file and editors often do the same.
+     *
+     * @param {string} collection - Collection name
+     * @param {Function} onChange - Called after each change
+     * @returns {Function} Stops watching
+     */
+    watch(collection, onChange) {
+        const filePath = this.getFile(collection);
+        const listener = (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                onChange();
+            }
+        };
+
+        // Not persistent, so the watcher never keeps the process running
+        fs.watchFile(filePath, { persistent: false, interval: WATCH_INTERVAL }, listener);
+        return () => fs.unwatchFile(filePath, listener);
+    }
+
+    /**
+     * Save a collection
+     * @param {string} collection - Collection name
+     * @param {Object} data - Data to store
+     */
+    async save(collection, data) {
+        const backups = BACKUP_COLLECTIONS.includes(collection) ? this.backups : 0;
+
+        await safeJson.writeJsonAtomic(this.getFile(collection), data, {
+            spaces: PRETTY_COLLECTIONS.includes(collection) ? 2 : undefined,
+            backups: backups,
+            backupInterval: this.backupInterval
+        });
+    }
+}
+
+module.exports = JsonStorage;
\ No newline at end of file
@@ -95,6 +95,10 @@ class Logger {
         
         // Convert additional arguments to strings
         const argsString = args.length > 0 ? ' ' + args.map(arg => {
+            // Errors have no enumerable properties, so JSON would show them as {}
+            if (arg instanceof Error) {
+                return arg.message;
+            }
             if (typeof arg === 'object') {
                 return JSON.stringify(arg, null, 2);
             }
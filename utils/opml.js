@@ -0,0 +1,183 @@
+/**
+ * OPML Utility
+ *
+ * This module converts feed subscriptions to and from OPML, the standard
+ * file format feed readers use to exchange subscription lists.
+ *
+ * Besides the standard outline attributes (text, title, type, xmlUrl) the
+ * exported files keep the bot's own settings in attributes of the
+ * "carterbot" namespace, so a subscription can be moved to another
+ * channel or server without setting it up again:
+ * - carterbot:interval - check interval in minutes
+ * - carterbot:active - "false" for paused feeds
+ * - carterbot:delivery - "bot" or "webhook"
+ * - carterbot:postMode - "thread" for feeds that open a thread per item
+ * - carterbot:maxItems - most items posted by one check
+ * - carterbot:filters, carterbot:template, carterbot:digest, carterbot:pings,
+ *   carterbot:backfill - JSON settings
+ *
+ * Other feed readers ignore these attributes, and OPML files exported by
+ * other feed readers can be imported as plain subscriptions.
+ */
+
+const xml2js = require('xml2js');
+
+const feedBacklog = require('./feedBacklog');
+
+// Namespace of the bot's own outline attributes
+const NAMESPACE = 'urn:carterbot:feeds';
+
+/**
+ * Build the outline of one subscription
+ * @param {Object} feed - Feed information object (see rssManager.getChannelFeeds)
+ * @returns {Object} Outline for the XML builder
+ */
+function buildFeedOutline(feed) {
+    const attributes = {
+        type: 'rss',
+        text: feed.title || feed.url,
+        title: feed.title || feed.url,
+        xmlUrl: feed.url
+    };
+
+    if (feed.description) attributes.description = feed.description;
+    attributes['carterbot:interval'] = String(Math.floor(feed.interval / 60000));
+    if (!feed.active) attributes['carterbot:active'] = 'false';
+    if (feed.delivery && feed.delivery !== 'bot') attributes['carterbot:delivery'] = feed.delivery;
+    if (feed.postMode === 'thread') attributes['carterbot:postMode'] = feed.postMode;
+    if (feed.maxItemsPerCheck && feed.maxItemsPerCheck !== feedBacklog.DEFAULT_MAX_ITEMS_PER_CHECK) attributes['carterbot:maxItems'] = String(feed.maxItemsPerCheck);
+    if (feed.filters && feed.filters.rules.length > 0) attributes['carterbot:filters'] = JSON.stringify(feed.filters);
+    if (feed.template) attributes['carterbot:template'] = JSON.stringify(feed.template);
+    if (feed.digest) attributes['carterbot:digest'] = JSON.stringify(feed.digest);
+    if (feed.pings && feed.pings.length > 0) attributes['carterbot:pings'] = JSON.stringify(feed.pings);
+    if (feed.backfill && JSON.stringify(feed.backfill) !== JSON.stringify(feedBacklog.createDefaultBackfill())) attributes['carterbot:backfill'] = JSON.stringify(feed.backfill);
+
+    return { $: attributes };
+}
+
+/**
+ * Build an OPML document
+ *
+ * Each group becomes a folder outline when there is more than one group,
+ * e.g. one folder per channel in a server-wide export.
+ *
+ * @param {string} title - Document title
+ * @param {Array<Object>} groups - Groups of feeds `{ title, feeds }`
+ * @returns {string} OPML document
+ */
+function buildOpml(title, groups) {
+    let outlines;
+    if (groups.length === 1) {
+        outlines = groups[0].feeds.map(buildFeedOutline);
+    } else {
+        outlines = groups.map(group => ({
+            $: { text: group.title, title: group.title },
+            outline: group.feeds.map(buildFeedOutline)
+        }));
+    }
+
+    const builder = new xml2js.Builder({
+        xmldec: { version: '1.0', encoding: 'UTF-8' }
+    });
+
+    return builder.buildObject({
+        opml: {
+            $: { version: '2.0', 'xmlns:carterbot': NAMESPACE },
+            head: {
+                title: title,
+                dateCreated: new Date().toUTCString()
+            },
+            body: {
+                outline: outlines
+            }
+        }
+    });
+}
+
+/**
+ * Parse a JSON attribute, ignoring values that aren't valid JSON
+ * @param {string} value - Attribute value
+ * @returns {Object|null} Parsed value
+ */
+function parseJsonAttribute(value) {
+    if (!value) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Turn the attributes of a feed outline into an import entry
+ * @param {Object} attributes - Outline attributes
+ * @returns {Object} Import entry
+ */
+function parseFeedOutline(attributes) {
+    const intervalMinutes = parseInt(attributes['carterbot:interval']);
+
+    return {
+        url: attributes.xmlUrl.trim(),
+        title: attributes.title || attributes.text || attributes.xmlUrl,
+        // Out-of-range intervals fall back to the default interval
+        interval: intervalMinutes >= 1 && intervalMinutes <= 1440 ? intervalMinutes * 60 * 1000 : null,
+        active: attributes['carterbot:active'] !== 'false',
+        delivery: attributes['carterbot:delivery'] === 'webhook' ? 'webhook' : 'bot',
+        postMode: attributes['carterbot:postMode'] === 'thread' ? 'thread' : 'message',
+        maxItemsPerCheck: feedBacklog.normalizeMaxItems(attributes['carterbot:maxItems']),
+        filters: parseJsonAttribute(attributes['carterbot:filters']),
+        template: parseJsonAttribute(attributes['carterbot:template']),
+        digest: parseJsonAttribute(attributes['carterbot:digest']),
+        pings: parseJsonAttribute(attributes['carterbot:pings']),
+        backfill: parseJsonAttribute(attributes['carterbot:backfill'])
+    };
+}
+
+/**
+ * Parse an OPML document into a list of subscriptions
+ *
+ * Folder outlines are flattened, and duplicate feed URLs are only
+ * returned once.
+ *
+ * @param {string} xml - OPML document
+ * @returns {Array<Object>} Import entries `{ url, title, interval, active, delivery, postMode, maxItemsPerCheck, filters, template, digest, pings, backfill }`
+ * @throws {Error} If the document is not valid OPML
+ */
+async function parseOpml(xml) {
+    let document;
+    try {
+        document = await xml2js.parseStringPromise(xml);
+    } catch (error) {
+        throw new Error(`The file is not valid XML: ${error.message.split('\n')[0]}`);
+    }
+
+    const body = document?.opml?.body?.[0];
+    if (!body) {
+        throw new Error('The file is not an OPML document (no <opml><body> element found)');
+    }
+
+    const entries = [];
+    const seen = new Set();
+
+    const walk = (outlines) => {
+        for (const outline of outlines || []) {
+            const attributes = outline.$ || {};
+            if (attributes.xmlUrl && !seen.has(attributes.xmlUrl.trim())) {
+                seen.add(attributes.xmlUrl.trim());
+                entries.push(parseFeedOutline(attributes));
+            }
+            walk(outline.outline);
+        }
+    };
+    walk(body.outline);
+
+    return entries;
+}
+
+module.exports = {
+    buildOpml,
+    parseOpml
+};
\ No newline at end of file
@@ -7,23 +7,55 @@
  * - Managing feed intervals and scheduling
  * - Posting new items to Discord channels
  * 
- * The RSS Manager stores feed data in JSON files and uses node-cron
- * for scheduling feed checks at regular intervals.
+ * The RSS Manager stores feed data in JSON files. Feed checks are run by
+ * a central scheduler (see feedScheduler.js); node-cron is used for the
+ * digest and recovery jobs.
  */
 
 const Parser = require('rss-parser');
-const fs = require('fs-extra');
 const path = require('path');
 const cron = require('node-cron');
-const { EmbedBuilder } = require('discord.js');
+const { EmbedBuilder, ChannelType } = require('discord.js');
 
 const logger = require('./logger');
+const SeenItemsStore = require('./seenStore');
+const HistoryStore = require('./historyStore');
+const FeedFetcher = require('./feedFetcher');
+const feedFilters = require('./feedFilters');
+const feedTemplates = require('./feedTemplates');
+const feedPings = require('./feedPings');
+const WebhookManager = require('./webhookManager');
+const digest = require('./digest');
+const feedDiscovery = require('./feedDiscovery');
+const feedBacklog = require('./feedBacklog');
+const feedHealth = require('./feedHealth');
+const FeedScheduler = require('./feedScheduler');
+const storage = require('./storage');
+const backups = require('./backups');
+const configSchema = require('./configSchema');
+const { GuildSettingsStore } = require('./guildSettings');
+
+// How feed items are posted: as a message, as a message with its own
+// discussion thread, or as a post in a forum channel
+const POST_MODES = ['message', 'thread', 'forum'];
+
+// Discord limits
+const MAX_THREAD_NAME_LENGTH = 100;
+const MAX_APPLIED_TAGS = 5;
+
+// Longest update hint (<ttl>, sy:updatePeriod) a feed can impose on its checks
+const MAX_HINT_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
 
 class RSSManager {
     constructor() {
         // Initialize RSS parser with custom fields
         this.parser = new Parser({
             customFields: {
+                // Syndication module update hints (see FeedFetcher.getUpdateHint)
+                feed: [
+                    ['sy:updatePeriod', 'updatePeriod'],
+                    ['sy:updateFrequency', 'updateFrequency']
+                ],
                 item: [
                     ['media:content', 'mediaContent'],
                     ['media:thumbnail', 'mediaThumbnail'],
@@ -33,22 +65,67 @@ class RSSManager {
             }
         });
         
-        // Path to store feed data
+        // Directory holding the bot's data
         this.dataPath = path.join(__dirname, '..', 'data');
-        this.feedsFile = path.join(this.dataPath, 'feeds.json');
-        this.configFile = path.join(this.dataPath, 'config.json');
+        
+        // Directory holding scheduled snapshots of feeds and configuration
+        this.backupsPath = path.join(__dirname, '..', 'backups');
+        
+        // Storage backend for feeds, configuration and the other stores (see storage.js)
+        this.storageType = (process.env.STORAGE || 'json').toLowerCase();
+        this.storage = storage.createStorage(storage.STORAGE_TYPES.includes(this.storageType) ? this.storageType : 'json', this.dataPath);
         
         // In-memory storage for feeds and configuration
         this.feeds = new Map();
-        this.config = {
-            defaultInterval: 300000, // 5 minutes in milliseconds
-            maxFeedsPerChannel: 10,
-            enableWebDashboard: true,
-            logLevel: 'info'
-        };
+        this.config = configSchema.getDefaults(); // see configSchema.js for every setting
+        
+        // Fingerprints of items already handled by each subscription
+        this.seenItems = new SeenItemsStore(this.storage);
+        
+        // Settings each server changed for itself, on top of the bot-wide defaults
+        this.guildSettings = new GuildSettingsStore(this.storage, () => ({
+            prefix: process.env.PREFIX || '!',
+            maxFeedsPerChannel: this.config.maxFeedsPerChannel,
+            maxFeedsPerGuild: this.config.maxFeedsPerGuild,
+            defaultInterval: this.config.defaultInterval,
+            embedColor: null,
+            allowedDomains: []
+        }));
+        
+        // Archive of every posted item, for browsing and searching
+        this.history = new HistoryStore(this.storage);
+        
+        // Items waiting for the next digest of subscriptions in digest mode
+        this.digestQueue = new digest.DigestQueue(this.storage);
+        
+        // Conditional HTTP fetching with a persistent ETag/Last-Modified cache
+        this.fetcher = new FeedFetcher(this.parser, this.storage);
+        
+        // Next check time of each feed URL
+        this.scheduler = new FeedScheduler(this.storage);
+        
+        // Hourly job that retries feeds disabled after repeated failures
+        this.recoveryJob = null;
+        
+        // Hourly job that saves a snapshot once `snapshotInterval` has passed
+        this.snapshotJob = null;
+        
+        // Stops watching the configuration for changes
+        this.stopConfigWatch = null;
+        
+        // Store active cron jobs for each digest subscription
+        this.digestJobs = new Map();
         
-        // Store active cron jobs for each feed
-        this.cronJobs = new Map();
+        // Channel webhooks used by feeds in webhook delivery mode
+        this.webhooks = new WebhookManager();
+        
+        // Debounced saving: changes made within `saveDelay` are written together
+        this.saveTimer = null;
+        this.pendingSave = null;
+        this.saveChain = Promise.resolve();
+        
+        // Normalized feed URL -> promise of the check currently holding it (see lockFeedUrl)
+        this.feedLocks = new Map();
         
         // Client reference for sending messages
         this.client = null;
@@ -56,18 +133,37 @@ class RSSManager {
 
     /**
      * Initialize the RSS Manager
-     * Creates data directory and loads existing feeds and configuration
+     * Opens the storage and loads existing feeds and configuration
      */
     async initialize() {
         try {
             logger.info('Initializing RSS Manager...');
             
-            // Ensure data directory exists
-            await fs.ensureDir(this.dataPath);
+            // A typo here would otherwise quietly start with empty JSON storage
+            if (!storage.STORAGE_TYPES.includes(this.storageType)) {
+                throw new Error(`Unknown STORAGE "${process.env.STORAGE}". Use one of: ${storage.STORAGE_TYPES.join(', ')}`);
+            }
             
-            // Load existing feeds and configuration
-            await this.loadFeeds();
+            await this.storage.open();
+            logger.info(`Using storage: ${this.storage.describe()}`);
+            
+            // Load configuration first so feeds pick up the configured defaults
             await this.loadConfig();
+            this.applyConfig();
+            await this.loadFeeds();
+            await this.fetcher.loadCache();
+            
+            try {
+                await this.scheduler.load();
+            } catch (error) {
+                // Without saved times the checks are just spread out again
+                logger.error('Error loading feed schedule:', error);
+            }
+            
+            // Apply edits to the configuration without a restart (JSON storage only)
+            this.stopConfigWatch = this.storage.watch?.('config', () => {
+                this.reloadConfig().catch(error => logger.error('Error reloading the configuration:', error));
+            }) || null;
             
             logger.info(`RSS Manager initialized with ${this.feeds.size} feeds`);
             
@@ -78,13 +174,46 @@ class RSSManager {
     }
 
     /**
-     * Load feeds from JSON file
+     * Load feeds from storage
      */
     async loadFeeds() {
         try {
-            if (await fs.pathExists(this.feedsFile)) {
-                const feedData = await fs.readJson(this.feedsFile);
-                
+            try {
+                await this.seenItems.load();
+            } catch (error) {
+                // Losing seen items only risks reposts, so keep loading feeds
+                logger.error('Error loading seen items:', error);
+            }
+            
+            try {
+                await this.digestQueue.load();
+            } catch (error) {
+                logger.error('Error loading digest queues:', error);
+            }
+            
+            try {
+                await this.history.load();
+            } catch (error) {
+                logger.error('Error loading item history:', error);
+            }
+            
+            try {
+                await this.guildSettings.load();
+            } catch (error) {
+                // Servers fall back to the bot-wide settings
+                logger.error('Error loading guild settings:', error);
+            }
+            
+            let migrated = 0;
+            
+            let feedData = null;
+            try {
+                feedData = await this.storage.load('feeds');
+            } catch (error) {
+                logger.error(`Could not load feeds (${error.message}), starting without feeds`);
+            }
+            
+            if (feedData) {
                 // Convert object structure to Map
                 for (const [channelId, channelFeeds] of Object.entries(feedData)) {
                     if (!this.feeds.has(channelId)) {
@@ -93,21 +222,25 @@ class RSSManager {
                     
                     const channelFeedMap = this.feeds.get(channelId);
                     for (const [feedUrl, feedInfo] of Object.entries(channelFeeds)) {
-                        channelFeedMap.set(feedUrl, {
-                            url: feedInfo.url,
-                            interval: feedInfo.interval || this.config.defaultInterval,
-                            lastChecked: feedInfo.lastChecked ? new Date(feedInfo.lastChecked) : null,
-                            lastPostId: feedInfo.lastPostId || null,
-                            active: feedInfo.active !== false, // Default to true
-                            title: feedInfo.title || 'Unknown Feed',
-                            description: feedInfo.description || ''
-                        });
+                        channelFeedMap.set(feedUrl, this.parseFeedInfo(feedInfo));
+                        
+                        // Older versions tracked a single lastPostId per feed
+                        if (feedInfo.lastPostId) {
+                            this.seenItems.migrateLastPostId(channelId, feedUrl, feedInfo.lastPostId);
+                            migrated++;
+                        }
                     }
                 }
                 
                 logger.info(`Loaded ${this.feeds.size} channel feed configurations`);
+                
+                // Rewrite feeds.json without the legacy lastPostId fields
+                if (migrated > 0) {
+                    await this.saveFeeds();
+                    logger.info(`Migrated lastPostId of ${migrated} feeds to the seen items store`);
+                }
             } else {
-                logger.info('No existing feeds file found, starting fresh');
+                logger.info('No saved feeds found, starting fresh');
             }
         } catch (error) {
             logger.error('Error loading feeds:', error);
@@ -117,31 +250,152 @@ class RSSManager {
     }
 
     /**
-     * Save feeds to JSON file
+     * Build a subscription from its stored form, filling in defaults
+     * @param {Object} feedInfo - Subscription as stored
+     * @returns {Object} Feed information object
      */
-    async saveFeeds() {
-        try {
-            const feedData = {};
+    parseFeedInfo(feedInfo) {
+        return {
+            url: feedInfo.url,
+            interval: feedInfo.interval || this.config.defaultInterval,
+            // Feeds saved before this flag existed keep their interval
+            usesDefaultInterval: feedInfo.usesDefaultInterval === true || !feedInfo.interval,
+            lastChecked: feedInfo.lastChecked ? new Date(feedInfo.lastChecked) : null,
+            active: feedInfo.active !== false, // Default to true
+            title: feedInfo.title || 'Unknown Feed',
+            description: feedInfo.description || '',
+            failureCount: feedInfo.failureCount || 0,
+            lastError: feedInfo.lastError || null,
+            lastSuccess: feedInfo.lastSuccess ? new Date(feedInfo.lastSuccess) : null,
+            nextRetryAt: feedInfo.nextRetryAt ? new Date(feedInfo.nextRetryAt) : null,
+            disabledReason: feedInfo.disabledReason || null,
+            filters: feedFilters.normalizeFilters(feedInfo.filters),
+            template: feedInfo.template ? feedTemplates.normalizeTemplate(feedInfo.template) : null,
+            delivery: feedInfo.delivery === 'webhook' ? 'webhook' : 'bot',
+            digest: digest.normalizeSchedule(feedInfo.digest),
+            postMode: POST_MODES.includes(feedInfo.postMode) ? feedInfo.postMode : 'message',
+            forumTags: feedInfo.forumTags || {},
+            pings: feedPings.normalizePings(feedInfo.pings),
+            backfill: feedBacklog.normalizeBackfill(feedInfo.backfill),
+            maxItemsPerCheck: feedBacklog.normalizeMaxItems(feedInfo.maxItemsPerCheck) || feedBacklog.DEFAULT_MAX_ITEMS_PER_CHECK,
+            health: feedHealth.normalizeHealth(feedInfo.health)
+        };
+    }
+
+    /**
+     * Convert a subscription to its stored form
+     * @param {Object} feedInfo - Feed information object
+     * @returns {Object} Subscription as stored
+     */
+    serializeFeedInfo(feedInfo) {
+        return {
+            url: feedInfo.url,
+            interval: feedInfo.interval,
+            usesDefaultInterval: feedInfo.usesDefaultInterval,
+            lastChecked: feedInfo.lastChecked ? feedInfo.lastChecked.toISOString() : null,
+            active: feedInfo.active,
+            title: feedInfo.title,
+            description: feedInfo.description,
+            failureCount: feedInfo.failureCount,
+            lastError: feedInfo.lastError,
+            lastSuccess: feedInfo.lastSuccess ? feedInfo.lastSuccess.toISOString() : null,
+            nextRetryAt: feedInfo.nextRetryAt ? feedInfo.nextRetryAt.toISOString() : null,
+            disabledReason: feedInfo.disabledReason,
+            filters: feedInfo.filters,
+            template: feedInfo.template,
+            delivery: feedInfo.delivery,
+            digest: feedInfo.digest,
+            postMode: feedInfo.postMode,
+            forumTags: feedInfo.forumTags,
+            pings: feedInfo.pings,
+            backfill: feedInfo.backfill,
+            maxItemsPerCheck: feedInfo.maxItemsPerCheck,
+            health: feedInfo.health
+        };
+    }
+
+    /**
+     * Convert all subscriptions to their stored form
+     * @returns {Object} Feeds as stored (channelId -> feedUrl -> subscription)
+     */
+    serializeFeeds() {
+        const feedData = {};
+        
+        // Convert Map structure back to object for storage
+        for (const [channelId, channelFeeds] of this.feeds.entries()) {
+            feedData[channelId] = {};
             
-            // Convert Map structure back to object for JSON storage
-            for (const [channelId, channelFeeds] of this.feeds.entries()) {
-                feedData[channelId] = {};
-                
-                for (const [feedUrl, feedInfo] of channelFeeds.entries()) {
-                    feedData[channelId][feedUrl] = {
-                        url: feedInfo.url,
-                        interval: feedInfo.interval,
-                        lastChecked: feedInfo.lastChecked ? feedInfo.lastChecked.toISOString() : null,
-                        lastPostId: feedInfo.lastPostId,
-                        active: feedInfo.active,
-                        title: feedInfo.title,
-                        description: feedInfo.description
-                    };
-                }
+            for (const [feedUrl, feedInfo] of channelFeeds.entries()) {
+                feedData[channelId][feedUrl] = this.serializeFeedInfo(feedInfo);
             }
-            
-            await fs.writeJson(this.feedsFile, feedData, { spaces: 2 });
-            logger.debug('Feeds saved to file');
+        }
+        
+        return feedData;
+    }
+
+    /**
+     * Save feeds to storage
+     *
+     * Saves are debounced: every change made within `saveDelay` is written
+     * in one flush. The returned promise resolves once that flush is done.
+     *
+     * @returns {Promise} Resolves when the changes are stored
+     */
+    saveFeeds() {
+        if (!this.pendingSave) {
+            this.pendingSave = {};
+            this.pendingSave.promise = new Promise((resolve, reject) => {
+                this.pendingSave.resolve = resolve;
+                this.pendingSave.reject = reject;
+            });
+            this.saveTimer = setTimeout(() => this.flushFeeds(), this.config.saveDelay);
+        }
+        
+        return this.pendingSave.promise;
+    }
+
+    /**
+     * Write any pending changes now instead of waiting for the debounce
+     * (used on shutdown)
+     */
+    async flushFeeds() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        
+        const batch = this.pendingSave;
+        this.pendingSave = null;
+        
+        // Writes never overlap; each one waits for the previous one
+        const write = this.saveChain.then(() => this.writeFeeds());
+        this.saveChain = write.catch(() => {});
+        
+        try {
+            await write;
+            batch?.resolve();
+        } catch (error) {
+            if (batch) {
+                batch.reject(error);
+            }
+        }
+    }
+
+    /**
+     * Write feeds and the other stores to storage
+     *
+     * With JSON storage, feeds.json is written atomically (temp file +
+     * rename) and copied to rotated backups at most once per
+     * `feedsBackupInterval` (see jsonStorage.js).
+     */
+    async writeFeeds() {
+        try {
+            await this.storage.save('feeds', this.serializeFeeds());
+            await this.seenItems.save();
+            await this.digestQueue.save();
+            await this.history.save();
+            await this.scheduler.save();
+            logger.debug('Feeds saved to storage');
             
         } catch (error) {
             logger.error('Error saving feeds:', error);
@@ -150,30 +404,149 @@ class RSSManager {
     }
 
     /**
-     * Load configuration from JSON file
+     * Load configuration from storage
      */
     async loadConfig() {
+        let configData;
         try {
-            if (await fs.pathExists(this.configFile)) {
-                const configData = await fs.readJson(this.configFile);
-                this.config = { ...this.config, ...configData };
-                logger.info('Configuration loaded');
-            } else {
-                // Save default configuration
-                await this.saveConfig();
-                logger.info('Default configuration created');
+            configData = await this.storage.load('config');
+        } catch (error) {
+            throw new Error(`The configuration could not be read: ${error.message}`);
+        }
+        
+        if (!configData) {
+            // Save default configuration
+            await this.saveConfig();
+            logger.info('Default configuration created');
+            return;
+        }
+        
+        const { config, errors, warnings } = configSchema.validateConfig(configData);
+        for (const warning of warnings) {
+            logger.warn(`Configuration: ${warning}`);
+        }
+        
+        if (errors.length > 0) {
+            for (const error of errors) {
+                logger.error(`Invalid configuration: ${error}`);
             }
+            throw new Error(`The configuration has ${errors.length} invalid setting(s), see the errors above`);
+        }
+        
+        this.config = config;
+        logger.info('Configuration loaded');
+    }
+
+    /**
+     * Load the configuration again and apply the valid changes
+     *
+     * Invalid settings are reported and keep their current value. Feeds
+     * that were added without an interval move to the new `defaultInterval`;
+     * intervals set by a user or a server setting stay as they are.
+     *
+     * @returns {Array<string>} Names of the settings that changed
+     */
+    async reloadConfig() {
+        let configData;
+        try {
+            configData = await this.storage.load('config');
         } catch (error) {
-            logger.error('Error loading configuration:', error);
+            logger.error(`Could not reload the configuration: ${error.message}`);
+            return [];
+        }
+        
+        if (!configData) {
+            return [];
+        }
+        
+        const { config, errors, warnings } = configSchema.validateConfig(configData, this.config);
+        for (const warning of warnings) {
+            logger.warn(`Configuration: ${warning}`);
+        }
+        for (const error of errors) {
+            logger.error(`Invalid configuration: ${error} (keeping the current value)`);
+        }
+        
+        const changed = Object.keys(config)
+            .filter(key => JSON.stringify(config[key]) !== JSON.stringify(this.config[key]));
+        if (changed.length === 0) {
+            return [];
+        }
+        
+        this.config = config;
+        this.applyConfig();
+        
+        if (changed.includes('defaultInterval')) {
+            // Feeds on the bot-wide default follow the new one
+            const urlKeys = new Set();
+            for (const channelFeeds of this.feeds.values()) {
+                for (const [feedUrl, feedInfo] of channelFeeds.entries()) {
+                    if (feedInfo.usesDefaultInterval && feedInfo.interval !== config.defaultInterval) {
+                        feedInfo.interval = config.defaultInterval;
+                        urlKeys.add(this.normalizeFeedUrl(feedUrl));
+                    }
+                }
+            }
+            
+            for (const urlKey of urlKeys) {
+                this.updateFeedSchedule(urlKey);
+            }
+            
+            if (urlKeys.size > 0) {
+                await this.saveFeeds();
+                logger.info(`Rescheduled ${urlKeys.size} feeds for the new default interval`);
+            }
+        }
+        
+        logger.info(`Configuration reloaded, changed: ${changed.join(', ')}`);
+        return changed;
+    }
+
+    /**
+     * Pass the current configuration on to the logger, storage, stores,
+     * fetcher and scheduler
+     */
+    applyConfig() {
+        // LOG_LEVEL in the environment takes precedence over the configured level
+        const logLevel = process.env.LOG_LEVEL || this.config.logLevel;
+        if (logger.getLevel() !== logLevel) {
+            logger.setLevel(logLevel);
         }
+        
+        this.storage.configure?.({
+            backups: this.config.feedsBackupCount,
+            backupInterval: this.config.feedsBackupInterval
+        });
+        
+        this.seenItems.configure({
+            maxItems: this.config.seenItemsPerFeed,
+            maxAge: this.config.seenItemsMaxAge
+        });
+        
+        this.history.configure({
+            maxItems: this.config.historyMaxItems,
+            maxAge: this.config.historyMaxAge
+        });
+        
+        this.fetcher.timeout = this.config.requestTimeout;
+        this.fetcher.userAgent = this.config.userAgent;
+        this.fetcher.limiter.configure({
+            minSpacing: this.config.hostRequestSpacing,
+            maxConcurrent: this.config.maxRequestsPerHost
+        });
+        
+        this.scheduler.configure({
+            maxConcurrent: this.config.maxConcurrentChecks,
+            jitter: this.config.scheduleJitter
+        });
     }
 
     /**
-     * Save configuration to JSON file
+     * Save configuration to storage
      */
     async saveConfig() {
         try {
-            await fs.writeJson(this.configFile, this.config, { spaces: 2 });
+            await this.storage.save('config', this.config);
             logger.debug('Configuration saved');
         } catch (error) {
             logger.error('Error saving configuration:', error);
@@ -181,96 +554,460 @@ class RSSManager {
     }
 
     /**
-     * Add a new RSS feed to a channel
-     * @param {string} channelId - Discord channel ID
-     * @param {string} feedUrl - RSS feed URL
-     * @param {number} interval - Check interval in milliseconds (optional)
-     * @returns {Object} Result object with success status and message
+     * Copy all stored data into another storage backend
+     *
+     * The bot keeps using its current storage; set STORAGE to the target
+     * and restart to switch over. Data already in the target is replaced.
+     *
+     * @param {string} targetType - Storage to copy into ('json' or 'sqlite')
+     * @returns {Object} Result with success status, message and the copied collections `{ collection, rows }`
      */
-    async addFeed(channelId, feedUrl, interval = null) {
+    async migrateStorage(targetType = 'sqlite') {
+        const type = (targetType || '').toLowerCase();
+
+        if (!storage.STORAGE_TYPES.includes(type)) {
+            return {
+                success: false,
+                message: `Unknown storage type "${targetType}". Use one of: ${storage.STORAGE_TYPES.join(', ')}`
+            };
+        }
+
+        if (type === this.storageType) {
+            return { success: false, message: `The bot is already using ${type} storage.` };
+        }
+
+        // Copy the latest state, not what was saved before the last change
+        await this.flushFeeds();
+        await this.saveConfig();
+
+        const target = storage.createStorage(type, this.dataPath);
         try {
-            // Validate the RSS feed URL
-            const feedInfo = await this.validateFeed(feedUrl);
-            if (!feedInfo.valid) {
-                return {
-                    success: false,
-                    message: `Invalid RSS feed: ${feedInfo.error}`
-                };
-            }
+            await target.open();
+            const copied = await storage.copyCollections(this.storage, target);
 
-            // Check if channel already has maximum number of feeds
-            if (!this.feeds.has(channelId)) {
-                this.feeds.set(channelId, new Map());
-            }
+            logger.info(`Copied ${copied.length} collections to ${target.describe()}`);
+            return {
+                success: true,
+                message: `Copied the bot's data to ${target.describe()}`,
+                copied: copied
+            };
+        } catch (error) {
+            logger.error(`Error migrating storage to ${type}:`, error);
+            return { success: false, message: `Could not copy the data: ${error.message}` };
+        } finally {
+            await target.close();
+        }
+    }
+
+    /**
+     * Build a backup document of the current feeds and configuration
+     * @returns {Object} Backup document (see backups.js)
+     */
+    createBackup() {
+        return backups.createSnapshot(this.serializeFeeds(), { ...this.config });
+    }
+
+    /**
+     * Save a snapshot of the current feeds and configuration to the backups directory
+     * @returns {Object} Result with success status, message and the snapshot name
+     */
+    async saveSnapshot() {
+        try {
+            const archive = await backups.createArchive(this.createBackup());
+            const name = await backups.writeSnapshot(this.backupsPath, archive, this.config.snapshotRetention);
             
-            const channelFeeds = this.feeds.get(channelId);
-            if (channelFeeds.size >= this.config.maxFeedsPerChannel) {
-                return {
-                    success: false,
-                    message: `Maximum number of feeds (${this.config.maxFeedsPerChannel}) reached for this channel`
-                };
-            }
+            logger.info(`Saved snapshot ${name}`);
+            return {
+                success: true,
+                message: `Saved snapshot ${name}`,
+                name: name
+            };
+        } catch (error) {
+            logger.error('Error saving snapshot:', error);
+            return { success: false, message: `Could not save the snapshot: ${error.message}` };
+        }
+    }
 
-            // Check if feed already exists in this channel
-            if (channelFeeds.has(feedUrl)) {
-                return {
-                    success: false,
-                    message: 'This RSS feed is already added to this channel'
-                };
+    /**
+     * Save a snapshot if the newest one is older than `snapshotInterval`
+     * (0 turns scheduled snapshots off)
+     */
+    async saveScheduledSnapshot() {
+        if (!(this.config.snapshotInterval > 0)) {
+            return;
+        }
+        
+        try {
+            const [newest] = await backups.listSnapshots(this.backupsPath);
+            if (newest && Date.now() - newest.createdAt.getTime() < this.config.snapshotInterval) {
+                return;
             }
+            
+            await this.saveSnapshot();
+        } catch (error) {
+            logger.error('Error checking snapshots:', error);
+        }
+    }
 
-            // Add the feed
-            const feedData = {
-                url: feedUrl,
-                interval: interval || this.config.defaultInterval,
-                lastChecked: null,
-                lastPostId: null,
-                active: true,
-                title: feedInfo.feed.title || 'Unknown Feed',
-                description: feedInfo.feed.description || ''
-            };
+    /**
+     * Show what restoring a backup would change
+     * @param {Object} snapshot - Validated backup document (see backups.readArchive)
+     * @returns {Object} Differences `{ added, removed, changed, config }` (see backups.diffSnapshot)
+     */
+    previewRestore(snapshot) {
+        return backups.diffSnapshot(this.createBackup(), snapshot);
+    }
 
-            channelFeeds.set(feedUrl, feedData);
+    /**
+     * Replace all feeds and the configuration with those of a backup
+     *
+     * A snapshot of the current state is saved first, so the restore can be
+     * undone. Feed checking and digest jobs are restarted afterwards.
+     *
+     * @param {Object} snapshot - Validated backup document (see backups.readArchive)
+     * @returns {Object} Result with success status, message and the applied differences
+     */
+    async restoreBackup(snapshot) {
+        try {
+            const safety = await this.saveSnapshot();
+            if (!safety.success) {
+                return { success: false, message: 'Could not save a snapshot of the current state, so nothing was restored' };
+            }
+            
+            const diff = this.previewRestore(snapshot);
+            const webhookChannels = [...this.feeds.entries()]
+                .filter(([, channelFeeds]) => [...channelFeeds.values()].some(feedInfo => feedInfo.delivery === 'webhook'))
+                .map(([channelId]) => channelId);
+            
+            this.stopFeedChecking();
+            
+            // Forget the state of subscriptions the backup doesn't have
+            for (const { channelId, url } of diff.removed) {
+                this.seenItems.remove(channelId, url);
+                this.digestQueue.clear(channelId, url);
+            }
+            
+            // Restore the configuration first so feeds pick up its defaults
+            this.config = { ...this.config, ...snapshot.config };
+            this.applyConfig();
+            await this.saveConfig();
+            
+            this.feeds = new Map();
+            for (const [channelId, channelFeeds] of Object.entries(snapshot.feeds)) {
+                const channelFeedMap = new Map();
+                for (const [feedUrl, feedInfo] of Object.entries(channelFeeds)) {
+                    channelFeedMap.set(feedUrl, this.parseFeedInfo(feedInfo));
+                }
+                
+                if (channelFeedMap.size > 0) {
+                    this.feeds.set(channelId, channelFeedMap);
+                }
+            }
+            
+            // Drop the schedule and cached validators of feed URLs nobody follows anymore
+            const urlKeys = this.getFeedUrlKeys();
+            for (const urlKey of [...this.scheduler.entries.keys()]) {
+                if (!urlKeys.has(urlKey)) {
+                    this.scheduler.unschedule(urlKey);
+                    await this.fetcher.forget(urlKey);
+                }
+            }
             
-            // Save to file
             await this.saveFeeds();
             
-            // Start checking this feed
-            this.startFeedCheck(channelId, feedUrl);
+            if (this.client) {
+                this.startFeedChecking(this.client);
+                
+                for (const channelId of webhookChannels) {
+                    await this.cleanupWebhook(channelId);
+                }
+            }
             
-            logger.info(`Added RSS feed "${feedData.title}" to channel ${channelId}`);
+            logger.info(`Restored backup from ${snapshot.createdAt} (${this.getTotalFeedCount()} feeds)`);
             
             return {
                 success: true,
-                message: `Successfully added RSS feed: ${feedData.title}`,
-                feedInfo: feedData
+                message: `Restored ${this.getTotalFeedCount()} feeds and the configuration. The previous state was saved as ${safety.name}.`,
+                diff: diff
             };
             
         } catch (error) {
-            logger.error('Error adding feed:', error);
+            logger.error('Error restoring backup:', error);
+
+            // Don't leave the bot without feed checking after a failed restore
+            if (this.client && !this.recoveryJob) {
+                this.startFeedChecking(this.client);
+            }
+
             return {
                 success: false,
-                message: 'An error occurred while adding the feed'
+                message: 'An error occurred while restoring the backup'
             };
         }
     }
 
     /**
-     * Remove an RSS feed from a channel
-     * @param {string} channelId - Discord channel ID
-     * @param {string} feedUrl - RSS feed URL to remove
+     * Change a setting of a server
+     * @param {string} guildId - Discord guild ID
+     * @param {string} key - Setting name (see guildSettings.js)
+     * @param {*} value - New value
      * @returns {Object} Result object with success status and message
      */
-    async removeFeed(channelId, feedUrl) {
+    async setGuildSetting(guildId, key, value) {
         try {
-            if (!this.feeds.has(channelId)) {
-                return {
-                    success: false,
-                    message: 'No RSS feeds found for this channel'
-                };
-            }
-
-            const channelFeeds = this.feeds.get(channelId);
+            this.guildSettings.set(guildId, key, value);
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+        
+        try {
+            await this.guildSettings.save();
+            logger.info(`Guild ${guildId} changed setting ${key}`);
+            return { success: true, message: `Updated ${key}` };
+        } catch (error) {
+            logger.error('Error saving guild settings:', error);
+            return { success: false, message: 'An error occurred while saving the settings' };
+        }
+    }
+
+    /**
+     * Return a setting of a server (or all of them) to the bot-wide default
+     * @param {string} guildId - Discord guild ID
+     * @param {string|null} key - Setting name, or null for every setting
+     * @returns {Object} Result object with success status and message
+     */
+    async resetGuildSetting(guildId, key = null) {
+        try {
+            this.guildSettings.reset(guildId, key);
+            await this.guildSettings.save();
+            logger.info(`Guild ${guildId} reset ${key ? `setting ${key}` : 'all settings'}`);
+            return { success: true, message: key ? `Reset ${key} to the default` : 'Reset every setting to the default' };
+        } catch (error) {
+            logger.error('Error saving guild settings:', error);
+            return { success: false, message: 'An error occurred while saving the settings' };
+        }
+    }
+
+    /**
+     * Add a new RSS feed to a channel
+     *
+     * If the URL points to a web page instead of a feed, the feeds of the
+     * page are discovered. A single feed is added directly; when there are
+     * several, nothing is added and they are returned as `candidates` so the
+     * user can pick one.
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL or website URL
+     * @param {number} interval - Check interval in milliseconds (optional)
+     * @param {Object} options - Backlog settings (optional)
+     * @param {Object} options.backfill - What to post on the first check (see feedBacklog.parseBackfill)
+     * @param {number} options.maxItemsPerCheck - Most items posted by one check
+     * @returns {Object} Result object with success status and message
+     */
+    async addFeed(channelId, feedUrl, interval = null, options = {}) {
+        try {
+            // The channel's server decides the limits and defaults
+            const channel = this.client ? await this.client.channels.fetch(channelId).catch(() => null) : null;
+            const guildId = channel?.guildId || null;
+            const settings = this.guildSettings.get(guildId);
+            
+            if (!this.guildSettings.isDomainAllowed(guildId, feedUrl)) {
+                return {
+                    success: false,
+                    message: `Feeds can only be added from these domains: ${settings.allowedDomains.join(', ')}`
+                };
+            }
+            
+            // Validate the RSS feed URL
+            let feedInfo = await this.validateFeed(feedUrl);
+            let discoveredFrom = null;
+            
+            if (!feedInfo.valid && feedInfo.html) {
+                const candidates = await this.discoverFeeds(feedInfo.pageUrl, feedInfo.html);
+                
+                if (candidates.length === 0) {
+                    return {
+                        success: false,
+                        message: 'This is a web page, and no RSS feed could be found on it'
+                    };
+                }
+                
+                if (candidates.length > 1) {
+                    return {
+                        success: false,
+                        message: `Found ${candidates.length} feeds on this web page, please choose one`,
+                        candidates: candidates
+                    };
+                }
+                
+                discoveredFrom = feedUrl;
+                feedUrl = candidates[0].url;
+                feedInfo = { valid: true, feed: candidates[0].feed };
+                
+                // A page can link to a feed on another domain
+                if (!this.guildSettings.isDomainAllowed(guildId, feedUrl)) {
+                    return {
+                        success: false,
+                        message: `The feed on this page (${feedUrl}) is not on an allowed domain: ${settings.allowedDomains.join(', ')}`
+                    };
+                }
+            }
+            
+            if (!feedInfo.valid) {
+                return {
+                    success: false,
+                    message: `Invalid RSS feed: ${feedInfo.error}`
+                };
+            }
+
+            // Check if the server already has maximum number of feeds
+            if (guildId && this.getGuildFeedCount(guildId) >= settings.maxFeedsPerGuild) {
+                return {
+                    success: false,
+                    message: `Maximum number of feeds (${settings.maxFeedsPerGuild}) reached for this server`
+                };
+            }
+            
+            // Check if channel already has maximum number of feeds
+            if (!this.feeds.has(channelId)) {
+                this.feeds.set(channelId, new Map());
+            }
+            
+            const channelFeeds = this.feeds.get(channelId);
+            if (channelFeeds.size >= settings.maxFeedsPerChannel) {
+                return {
+                    success: false,
+                    message: `Maximum number of feeds (${settings.maxFeedsPerChannel}) reached for this channel`
+                };
+            }
+
+            // Check if feed already exists in this channel
+            const urlKey = this.normalizeFeedUrl(feedUrl);
+            if ([...channelFeeds.keys()].some(url => this.normalizeFeedUrl(url) === urlKey)) {
+                return {
+                    success: false,
+                    message: 'This RSS feed is already added to this channel'
+                };
+            }
+
+            // Add the feed (feeds in forum channels always create a forum post per item)
+            const feedData = {
+                url: feedUrl,
+                interval: interval || settings.defaultInterval,
+                // Only the bot-wide default follows later changes of config.json
+                usesDefaultInterval: !interval && !('defaultInterval' in this.guildSettings.getOverrides(guildId)),
+                lastChecked: null,
+                active: true,
+                title: feedInfo.feed.title || 'Unknown Feed',
+                description: feedInfo.feed.description || '',
+                failureCount: 0,
+                lastError: null,
+                lastSuccess: new Date(),
+                nextRetryAt: null,
+                disabledReason: null,
+                filters: feedFilters.createDefaultFilters(),
+                template: null,
+                delivery: 'bot',
+                digest: null,
+                postMode: this.isForumChannel(channel) ? 'forum' : 'message',
+                forumTags: {},
+                pings: [],
+                backfill: options.backfill || feedBacklog.createDefaultBackfill(),
+                maxItemsPerCheck: options.maxItemsPerCheck || feedBacklog.DEFAULT_MAX_ITEMS_PER_CHECK,
+                health: feedHealth.createHealth()
+            };
+
+            channelFeeds.set(feedUrl, feedData);
+            
+            // Save to file
+            await this.saveFeeds();
+            
+            // Start checking this feed
+            this.startFeedCheck(channelId, feedUrl);
+            
+            logger.info(`Added RSS feed "${feedData.title}" to channel ${channelId}${discoveredFrom ? ` (discovered on ${discoveredFrom})` : ''}`);
+            
+            return {
+                success: true,
+                message: `Successfully added RSS feed: ${feedData.title}`,
+                feedInfo: feedData,
+                discoveredFrom: discoveredFrom
+            };
+            
+        } catch (error) {
+            logger.error('Error adding feed:', error);
+            return {
+                success: false,
+                message: 'An error occurred while adding the feed'
+            };
+        }
+    }
+
+    /**
+     * Add a feed from an OPML import entry, including its saved settings
+     *
+     * The feed is validated and limited like any other new feed. Settings
+     * that don't pass the usual checks are replaced by their defaults.
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {Object} entry - Import entry from `opml.parseOpml`
+     * @returns {Object} Result object with success status, message and feed information
+     */
+    async importFeed(channelId, entry) {
+        const result = await this.addFeed(channelId, entry.url, entry.interval, {
+            maxItemsPerCheck: entry.maxItemsPerCheck,
+            backfill: feedBacklog.normalizeBackfill(entry.backfill)
+        });
+        if (!result.success) {
+            return result;
+        }
+
+        const feedInfo = result.feedInfo;
+        feedInfo.filters = feedFilters.normalizeFilters(entry.filters);
+        feedInfo.pings = feedPings.normalizePings(entry.pings);
+
+        const template = feedTemplates.normalizeTemplate(entry.template);
+        feedInfo.template = feedTemplates.isDefaultTemplate(template) ? null : template;
+        feedInfo.delivery = entry.delivery === 'webhook' ? 'webhook' : 'bot';
+        feedInfo.digest = digest.normalizeSchedule(entry.digest);
+        if (feedInfo.postMode !== 'forum') {
+            feedInfo.postMode = entry.postMode === 'thread' ? 'thread' : 'message';
+        }
+
+        if (entry.active === false) {
+            feedInfo.active = false;
+            feedInfo.disabledReason = 'paused';
+        }
+
+        await this.saveFeeds();
+
+        // addFeed already started checking the feed, under the discovered feed URL if the entry was a web page
+        if (!feedInfo.active) {
+            this.stopFeedCheck(channelId, feedInfo.url);
+        }
+        if (feedInfo.digest) {
+            this.startDigestJob(channelId, feedInfo.url);
+        }
+
+        return result;
+    }
+
+    /**
+     * Remove an RSS feed from a channel
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL to remove
+     * @returns {Object} Result object with success status and message
+     */
+    async removeFeed(channelId, feedUrl) {
+        try {
+            if (!this.feeds.has(channelId)) {
+                return {
+                    success: false,
+                    message: 'No RSS feeds found for this channel'
+                };
+            }
+
+            const channelFeeds = this.feeds.get(channelId);
             if (!channelFeeds.has(feedUrl)) {
                 return {
                     success: false,
@@ -280,18 +1017,31 @@ class RSSManager {
 
             const feedInfo = channelFeeds.get(feedUrl);
             channelFeeds.delete(feedUrl);
+            this.seenItems.remove(channelId, feedUrl);
+            this.digestQueue.clear(channelId, feedUrl);
+            this.stopDigestJob(channelId, feedUrl);
             
             // Remove empty channel entry
             if (channelFeeds.size === 0) {
                 this.feeds.delete(channelId);
             }
             
+            // Drop cached validators once nobody subscribes to the URL anymore
+            const urlKey = this.normalizeFeedUrl(feedUrl);
+            if (this.getSubscriptions(urlKey).length === 0) {
+                await this.fetcher.forget(urlKey);
+            }
+            
             // Stop checking this feed
             this.stopFeedCheck(channelId, feedUrl);
             
             // Save to file
             await this.saveFeeds();
             
+            if (feedInfo.delivery === 'webhook') {
+                await this.cleanupWebhook(channelId);
+            }
+            
             logger.info(`Removed RSS feed "${feedInfo.title}" from channel ${channelId}`);
             
             return {
@@ -308,6 +1058,98 @@ class RSSManager {
         }
     }
 
+    /**
+     * Pause or resume a feed
+     *
+     * Paused feeds keep their settings and seen items, so resuming them only
+     * posts items published while they were paused (within the usual limit).
+     * Resuming also re-enables feeds disabled after repeated failures.
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {boolean} active - True to resume, false to pause
+     * @returns {Object} Result object with success status, message and feed information
+     */
+    async setFeedActive(channelId, feedUrl, active) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        if (feedInfo.active === active) {
+            return {
+                success: false,
+                message: active ? 'This RSS feed is already active' : 'This RSS feed is already paused'
+            };
+        }
+        
+        feedInfo.active = active;
+        feedInfo.disabledReason = active ? null : 'paused';
+        if (active) {
+            feedInfo.failureCount = 0;
+            feedInfo.nextRetryAt = null;
+        }
+        
+        await this.saveFeeds();
+        
+        if (active) {
+            this.startFeedCheck(channelId, feedUrl);
+        } else {
+            this.stopFeedCheck(channelId, feedUrl);
+        }
+        
+        logger.info(`${active ? 'Resumed' : 'Paused'} RSS feed "${feedInfo.title}" in channel ${channelId}`);
+        
+        return {
+            success: true,
+            message: `${active ? 'Resumed' : 'Paused'} RSS feed: ${feedInfo.title}`,
+            feedInfo: feedInfo
+        };
+    }
+
+    /**
+     * Update the settings of an existing feed
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} changes - Settings to change
+     * @param {number} changes.interval - Check interval in milliseconds
+     * @param {number} changes.maxItemsPerCheck - Most items posted by one check
+     * @returns {Object} Result object with success status, message and feed information
+     */
+    async updateFeed(channelId, feedUrl, changes) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        if (changes.interval !== undefined) {
+            feedInfo.interval = changes.interval;
+            feedInfo.usesDefaultInterval = false;
+        }
+        if (changes.maxItemsPerCheck !== undefined) {
+            feedInfo.maxItemsPerCheck = changes.maxItemsPerCheck;
+        }
+        
+        await this.saveFeeds();
+        
+        // Reschedule with the new settings
+        this.startFeedCheck(channelId, feedUrl);
+        
+        logger.info(`Updated RSS feed "${feedInfo.title}" in channel ${channelId}`);
+        
+        return {
+            success: true,
+            message: `Updated RSS feed: ${feedInfo.title}`,
+            feedInfo: feedInfo
+        };
+    }
+
     /**
      * Get all RSS feeds for a channel
      * @param {string} channelId - Discord channel ID
@@ -328,7 +1170,23 @@ class RSSManager {
                 description: feedInfo.description,
                 active: feedInfo.active,
                 lastChecked: feedInfo.lastChecked,
-                interval: feedInfo.interval
+                interval: feedInfo.interval,
+                failureCount: feedInfo.failureCount,
+                lastError: feedInfo.lastError,
+                lastSuccess: feedInfo.lastSuccess,
+                disabledReason: feedInfo.disabledReason,
+                filters: feedInfo.filters,
+                template: feedInfo.template,
+                delivery: feedInfo.delivery,
+                digest: feedInfo.digest,
+                postMode: feedInfo.postMode,
+                forumTags: feedInfo.forumTags,
+                pings: feedInfo.pings,
+                backfill: feedInfo.backfill,
+                maxItemsPerCheck: feedInfo.maxItemsPerCheck,
+                health: feedInfo.health,
+                nextCheck: feedInfo.active ? this.scheduler.getNextRun(this.normalizeFeedUrl(url)) : null,
+                queuedItems: this.digestQueue.get(channelId, url).length
             });
         }
         
@@ -336,164 +1194,1339 @@ class RSSManager {
     }
 
     /**
-     * Validate an RSS feed URL
-     * @param {string} feedUrl - RSS feed URL to validate
-     * @returns {Object} Validation result with feed data if valid
+     * Set how the items of a feed are delivered
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {string} delivery - 'bot' (post as the bot) or 'webhook' (post under the feed's name and image)
+     * @returns {Object} Result object with success status and message
      */
-    async validateFeed(feedUrl) {
-        try {
-            const feed = await this.parser.parseURL(feedUrl);
+    async setFeedDelivery(channelId, feedUrl, delivery) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
             return {
-                valid: true,
-                feed: feed
+                success: false,
+                message: 'RSS feed not found in this channel'
             };
-        } catch (error) {
-            logger.warn(`Failed to validate RSS feed ${feedUrl}:`, error.message);
+        }
+        
+        if (!['bot', 'webhook'].includes(delivery)) {
             return {
-                valid: false,
-                error: error.message
+                success: false,
+                message: 'Delivery mode must be "bot" or "webhook"'
+            };
+        }
+        
+        const previous = feedInfo.delivery;
+        feedInfo.delivery = delivery;
+        await this.saveFeeds();
+        
+        if (previous === 'webhook' && delivery === 'bot') {
+            await this.cleanupWebhook(channelId);
+        }
+        
+        logger.info(`Set delivery of RSS feed "${feedInfo.title}" in channel ${channelId} to ${delivery}`);
+        
+        return {
+            success: true,
+            message: delivery === 'webhook'
+                ? `Items from **${feedInfo.title}** will be posted under the feed's own name and image`
+                : `Items from **${feedInfo.title}** will be posted by the bot`
+        };
+    }
+
+    /**
+     * Set how the items of a feed are posted
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {string} postMode - 'message' (a plain message) or 'thread' (a message with its own discussion thread)
+     * @returns {Object} Result object with success status and message
+     */
+    async setFeedPostMode(channelId, feedUrl, postMode) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        if (feedInfo.postMode === 'forum') {
+            return {
+                success: false,
+                message: 'Feeds in forum channels always create a forum post per item'
+            };
+        }
+        
+        if (!['message', 'thread'].includes(postMode)) {
+            return {
+                success: false,
+                message: 'Posting mode must be "message" or "thread"'
+            };
+        }
+        
+        feedInfo.postMode = postMode;
+        await this.saveFeeds();
+        
+        logger.info(`Set posting mode of RSS feed "${feedInfo.title}" in channel ${channelId} to ${postMode}`);
+        
+        return {
+            success: true,
+            message: postMode === 'thread'
+                ? `Every item from **${feedInfo.title}** will get its own discussion thread`
+                : `Items from **${feedInfo.title}** will be posted as plain messages`
+        };
+    }
+
+    /**
+     * Map an item category to a forum tag, or remove the mapping
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {string} category - Item category, or `*` for items without a matching tag
+     * @param {string|null} tagId - Forum tag ID, or null to remove the mapping
+     * @returns {Object} Result object with success status and message
+     */
+    async setFeedForumTag(channelId, feedUrl, category, tagId) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        const key = category.trim().toLowerCase();
+        if (!tagId && !feedInfo.forumTags[key]) {
+            return {
+                success: false,
+                message: `No tag is mapped to the category "${category}"`
             };
         }
+        
+        if (tagId) {
+            feedInfo.forumTags[key] = tagId;
+        } else {
+            delete feedInfo.forumTags[key];
+        }
+        await this.saveFeeds();
+        
+        logger.info(`${tagId ? 'Mapped' : 'Unmapped'} category "${key}" of RSS feed "${feedInfo.title}" in channel ${channelId}`);
+        
+        return {
+            success: true,
+            message: tagId ? 'Forum tag mapping saved' : 'Forum tag mapping removed'
+        };
+    }
+
+    /**
+     * Set or clear the digest schedule of a feed
+     *
+     * Turning digest mode off posts any items still waiting in the queue.
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object|null} schedule - Digest schedule from `digest.parseSchedule`, or null to turn digests off
+     * @returns {Object} Result object with success status and message
+     */
+    async setFeedDigest(channelId, feedUrl, schedule) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        if (!schedule && feedInfo.digest) {
+            await this.sendDigest(channelId, feedUrl);
+        }
+        
+        feedInfo.digest = schedule;
+        await this.saveFeeds();
+        
+        if (schedule) {
+            this.startDigestJob(channelId, feedUrl);
+        } else {
+            this.stopDigestJob(channelId, feedUrl);
+        }
+        
+        logger.info(`Set digest of RSS feed "${feedInfo.title}" in channel ${channelId} to ${digest.describeSchedule(schedule)}`);
+        
+        return {
+            success: true,
+            message: schedule
+                ? `New items from **${feedInfo.title}** will be posted as a digest: ${digest.describeSchedule(schedule)}`
+                : `New items from **${feedInfo.title}** will be posted as they arrive`
+        };
+    }
+
+    /**
+     * Post the queued items of a digest subscription as one summary
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @returns {number} Number of items posted
+     */
+    async sendDigest(channelId, feedUrl) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        const items = this.digestQueue.get(channelId, feedUrl);
+        if (!feedInfo || items.length === 0 || !this.client) {
+            return 0;
+        }
+        
+        let posted = 0;
+        try {
+            const channel = await this.client.channels.fetch(channelId);
+            if (!channel) {
+                logger.error(`Channel ${channelId} not found`);
+                return 0;
+            }
+            
+            const color = this.getFeedTemplate(channel.guildId, feedInfo).color;
+            const messages = digest.buildDigestEmbeds(feedInfo.title, items, color);
+            
+            for (const { embed, items: embedItems } of messages) {
+                const sent = await this.sendFeedMessage(channel, { title: feedInfo.title }, feedInfo, { embeds: [embed] }, {
+                    name: embed.data.title
+                });
+                
+                // Only posted items leave the queue; items queued in the meantime wait for the next digest
+                this.digestQueue.remove(channelId, feedUrl, embedItems);
+                posted += embedItems.length;
+                
+                // Archive the items for !rsshistory and !rsssearch
+                for (const item of embedItems) {
+                    this.history.add({
+                        channelId: channelId,
+                        feedUrl: feedInfo.url,
+                        feedTitle: feedInfo.title,
+                        item: item,
+                        messageId: sent?.id,
+                        messageUrl: sent?.url
+                    });
+                }
+            }
+            
+            await this.saveFeeds();
+            
+            logger.info(`Posted digest of ${posted} items from "${feedInfo.title}" to channel ${channelId}`);
+            return posted;
+            
+        } catch (error) {
+            logger.error(`Error posting digest to channel ${channelId}:`, error);
+            
+            // Keep the queue changes of the parts that did go out
+            if (posted > 0) {
+                this.saveFeeds().catch(saveError => logger.error('Error saving feeds:', saveError));
+            }
+            return posted;
+        }
+    }
+
+    /**
+     * Delete a channel's feed webhook once no feed in the channel uses it
+     * @param {string} channelId - Discord channel ID
+     */
+    async cleanupWebhook(channelId) {
+        const channelFeeds = this.feeds.get(channelId);
+        if (channelFeeds && [...channelFeeds.values()].some(feedInfo => feedInfo.delivery === 'webhook')) {
+            return;
+        }
+        
+        if (!this.client) {
+            return;
+        }
+        
+        try {
+            const channel = await this.client.channels.fetch(channelId);
+            if (channel) {
+                await this.webhooks.remove(channel);
+            }
+        } catch (error) {
+            logger.error(`Error cleaning up webhook in channel ${channelId}:`, error);
+        }
+    }
+
+    /**
+     * Find a channel's feed by its URL or by its position in the feed list
+     * @param {string} channelId - Discord channel ID
+     * @param {string} reference - Feed URL or 1-based index from listrss
+     * @returns {string|null} Feed URL as stored, or null if not found
+     */
+    resolveFeed(channelId, reference) {
+        const channelFeeds = this.feeds.get(channelId);
+        if (!channelFeeds || !reference) {
+            return null;
+        }
+        
+        if (/^\d+$/.test(reference)) {
+            const feedUrls = [...channelFeeds.keys()];
+            return feedUrls[parseInt(reference) - 1] || null;
+        }
+        
+        const urlKey = this.normalizeFeedUrl(reference);
+        return [...channelFeeds.keys()].find(url => this.normalizeFeedUrl(url) === urlKey) || null;
+    }
+
+    /**
+     * Get a channel's feed information
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @returns {Object|null} Feed information object
+     */
+    getFeed(channelId, feedUrl) {
+        return this.feeds.get(channelId)?.get(feedUrl) || null;
+    }
+
+    /**
+     * Add a filter rule to a feed
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} rule - Filter rule created with `feedFilters.createRule`
+     * @returns {Object} Result object with success status and message
+     */
+    async addFeedFilter(channelId, feedUrl, rule) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        feedInfo.filters.rules.push(rule);
+        await this.saveFeeds();
+        
+        logger.info(`Added ${rule.type} filter to RSS feed "${feedInfo.title}" in channel ${channelId}`);
+        
+        return {
+            success: true,
+            message: `Added filter #${feedInfo.filters.rules.length}: ${feedFilters.describeRule(rule)}`
+        };
+    }
+
+    /**
+     * Remove a filter rule from a feed
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {number} ruleNumber - 1-based rule number
+     * @returns {Object} Result object with success status and message
+     */
+    async removeFeedFilter(channelId, feedUrl, ruleNumber) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        if (!Number.isInteger(ruleNumber) || ruleNumber < 1 || ruleNumber > feedInfo.filters.rules.length) {
+            return {
+                success: false,
+                message: `Filter #${ruleNumber} does not exist for this feed`
+            };
+        }
+        
+        const [rule] = feedInfo.filters.rules.splice(ruleNumber - 1, 1);
+        await this.saveFeeds();
+        
+        logger.info(`Removed ${rule.type} filter from RSS feed "${feedInfo.title}" in channel ${channelId}`);
+        
+        return {
+            success: true,
+            message: `Removed filter: ${feedFilters.describeRule(rule)}`
+        };
+    }
+
+    /**
+     * Add a ping rule to a feed
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} ping - Ping rule `{ mention, rule }` (see feedPings.js)
+     * @returns {Object} Result object with success status and message
+     */
+    async addFeedPing(channelId, feedUrl, ping) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        if (feedInfo.pings.length >= feedPings.MAX_PINGS) {
+            return {
+                success: false,
+                message: `A feed can have at most ${feedPings.MAX_PINGS} ping rules`
+            };
+        }
+        
+        feedInfo.pings.push(ping);
+        await this.saveFeeds();
+        
+        logger.info(`Added ping rule to RSS feed "${feedInfo.title}" in channel ${channelId}`);
+        
+        return {
+            success: true,
+            message: `Added ping #${feedInfo.pings.length}: ${feedPings.describePing(ping)}`
+        };
+    }
+
+    /**
+     * Remove a ping rule from a feed
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {number|null} pingNumber - 1-based ping rule number, or null to remove all
+     * @returns {Object} Result object with success status and message
+     */
+    async removeFeedPing(channelId, feedUrl, pingNumber) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        if (pingNumber === null) {
+            const count = feedInfo.pings.length;
+            feedInfo.pings = [];
+            await this.saveFeeds();
+            
+            logger.info(`Removed all ping rules from RSS feed "${feedInfo.title}" in channel ${channelId}`);
+            
+            return {
+                success: true,
+                message: `Removed ${count} ping rule(s); new items will be posted without mentions`
+            };
+        }
+        
+        if (!Number.isInteger(pingNumber) || pingNumber < 1 || pingNumber > feedInfo.pings.length) {
+            return {
+                success: false,
+                message: `Ping #${pingNumber} does not exist for this feed`
+            };
+        }
+        
+        const [ping] = feedInfo.pings.splice(pingNumber - 1, 1);
+        await this.saveFeeds();
+        
+        logger.info(`Removed ping rule from RSS feed "${feedInfo.title}" in channel ${channelId}`);
+        
+        return {
+            success: true,
+            message: `Removed ping: ${feedPings.describePing(ping)}`
+        };
+    }
+
+    /**
+     * Set how the include rules of a feed are combined
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {string} match - 'any' or 'all'
+     * @returns {Object} Result object with success status and message
+     */
+    async setFeedFilterMatch(channelId, feedUrl, match) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        if (!feedFilters.MATCH_MODES.includes(match)) {
+            return {
+                success: false,
+                message: `Match mode must be one of: ${feedFilters.MATCH_MODES.join(', ')}`
+            };
+        }
+        
+        feedInfo.filters.match = match;
+        await this.saveFeeds();
+        
+        return {
+            success: true,
+            message: `Items now need to match ${match} of the include filters`
+        };
+    }
+
+    /**
+     * Update the message template of a feed
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object|null} changes - Template keys to change, or null to restore the default
+     * @returns {Object} Result object with success status, message and the new template
+     */
+    async setFeedTemplate(channelId, feedUrl, changes) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo) {
+            return {
+                success: false,
+                message: 'RSS feed not found in this channel'
+            };
+        }
+        
+        const template = changes
+            ? feedTemplates.normalizeTemplate({ ...feedTemplates.normalizeTemplate(feedInfo.template), ...changes })
+            : feedTemplates.normalizeTemplate(null);
+        
+        // Only store templates that differ from the default layout
+        feedInfo.template = feedTemplates.isDefaultTemplate(template) ? null : template;
+        await this.saveFeeds();
+        
+        logger.info(`Updated template of RSS feed "${feedInfo.title}" in channel ${channelId}`);
+        
+        return {
+            success: true,
+            message: changes ? 'Template updated' : 'Template reset to the default layout',
+            template: template
+        };
+    }
+
+    /**
+     * Normalize a feed URL so equivalent spellings share one fetch
+     * (lowercase scheme and host, no default port, no fragment, sorted query)
+     * @param {string} feedUrl - RSS feed URL
+     * @returns {string} Normalized feed URL
+     */
+    normalizeFeedUrl(feedUrl) {
+        try {
+            const url = new URL(feedUrl.trim());
+            url.hash = '';
+            
+            if ([...url.searchParams.keys()].length > 1) {
+                url.searchParams.sort();
+            }
+            
+            return url.toString();
+        } catch {
+            return feedUrl;
+        }
+    }
+
+    /**
+     * Get every subscription of a feed URL across all channels
+     * @param {string} urlKey - Normalized feed URL
+     * @returns {Array} Subscriptions as `{ channelId, feedUrl, feedInfo }`
+     */
+    getSubscriptions(urlKey) {
+        const subscriptions = [];
+        
+        for (const [channelId, channelFeeds] of this.feeds.entries()) {
+            for (const [feedUrl, feedInfo] of channelFeeds.entries()) {
+                if (this.normalizeFeedUrl(feedUrl) === urlKey) {
+                    subscriptions.push({ channelId, feedUrl, feedInfo });
+                }
+            }
+        }
+        
+        return subscriptions;
+    }
+
+    /**
+     * Get the normalized URLs of all subscribed feeds
+     * @returns {Set<string>} Normalized feed URLs
+     */
+    getFeedUrlKeys() {
+        const urlKeys = new Set();
+        
+        for (const channelFeeds of this.feeds.values()) {
+            for (const feedUrl of channelFeeds.keys()) {
+                urlKeys.add(this.normalizeFeedUrl(feedUrl));
+            }
+        }
+        
+        return urlKeys;
+    }
+
+    /**
+     * Fetch and parse a feed through the conditional fetch layer
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} options - Fetch options
+     * @param {boolean} options.conditional - Use cached ETag/Last-Modified validators
+     * @returns {Object} Fetch result (`notModified`, `status` and `feed`)
+     */
+    async fetchFeed(feedUrl, options = {}) {
+        return this.fetcher.fetch(this.normalizeFeedUrl(feedUrl), options);
+    }
+
+    /**
+     * Validate an RSS feed URL
+     * @param {string} feedUrl - RSS feed URL to validate
+     * @returns {Object} Validation result with feed data if valid
+     */
+    async validateFeed(feedUrl) {
+        try {
+            const { feed } = await this.fetchFeed(feedUrl, { conditional: false });
+            return {
+                valid: true,
+                feed: feed
+            };
+        } catch (error) {
+            logger.warn(`Failed to validate RSS feed ${feedUrl}:`, error.message);
+            return {
+                valid: false,
+                error: error.message,
+                // Set when the URL is a web page, for feed discovery
+                html: error.html || null,
+                pageUrl: error.pageUrl || null
+            };
+        }
+    }
+
+    /**
+     * Find the working feeds of a web page
+     *
+     * Feeds linked from the page are tried first; the site's common feed
+     * paths are only tried when the page doesn't link any.
+     *
+     * @param {string} pageUrl - URL of the web page
+     * @param {string} html - HTML of the web page
+     * @returns {Array<Object>} Valid feeds `{ url, title, feed }`
+     */
+    async discoverFeeds(pageUrl, html) {
+        let candidates = feedDiscovery.findFeedLinks(html, pageUrl);
+        if (candidates.length === 0) {
+            candidates = feedDiscovery.getCommonPathCandidates(pageUrl);
+        }
+        
+        const feeds = [];
+        const seen = new Set();
+        
+        // Cap the number of requests a single page can cause
+        for (const candidate of candidates.slice(0, 10)) {
+            const urlKey = this.normalizeFeedUrl(candidate.url);
+            if (seen.has(urlKey)) {
+                continue;
+            }
+            seen.add(urlKey);
+            
+            try {
+                const { feed } = await this.fetchFeed(candidate.url, { conditional: false });
+                feeds.push({
+                    url: candidate.url,
+                    title: feed.title || candidate.title || candidate.url,
+                    feed: feed
+                });
+            } catch (error) {
+                logger.debug(`Discovered feed candidate ${candidate.url} is not a valid feed: ${error.message}`);
+            }
+        }
+        
+        logger.debug(`Discovered ${feeds.length} feeds on ${pageUrl}`);
+        return feeds;
+    }
+
+    /**
+     * Check a feed URL for new items on behalf of all its subscriptions
+     *
+     * The feed is downloaded once and the result is fanned out to every
+     * active subscription, each of which keeps its own seen items and settings.
+     *
+     * @param {string} urlKey - Normalized feed URL
+     */
+    async checkFeedUrl(urlKey) {
+        if (!this.client) {
+            logger.warn('Discord client not set, skipping feed check');
+            return;
+        }
+
+        const subscriptions = this.getSubscriptions(urlKey)
+            .filter(({ feedInfo }) => feedInfo.active);
+        if (subscriptions.length === 0) {
+            return;
+        }
+        
+        // Skip scheduled checks while every subscription is backing off
+        const now = new Date();
+        if (subscriptions.every(({ feedInfo }) => feedInfo.nextRetryAt && feedInfo.nextRetryAt > now)) {
+            logger.debug(`Skipping RSS feed ${urlKey} while it backs off`);
+            return;
+        }
+
+        logger.debug(`Checking RSS feed: ${subscriptions[0].feedInfo.title} (${subscriptions.length} subscriptions)`);
+
+        let result;
+        try {
+            result = await this.fetchFeed(urlKey);
+        } catch (error) {
+            // Rate limiting isn't the feed's fault, so wait as asked instead of counting a failure
+            if (error.retryAfter) {
+                logger.warn(`RSS feed ${urlKey} is rate limited, next check after ${error.retryAfter.toISOString()}`);
+                this.scheduler.postpone(urlKey, error.retryAfter);
+                for (const { feedInfo } of subscriptions) {
+                    feedInfo.lastError = error.message;
+                }
+                return;
+            }
+            
+            logger.error(`Error checking RSS feed ${urlKey}:`, error);
+            
+            for (const { channelId, feedUrl, feedInfo } of subscriptions) {
+                this.recordCheckHealth(feedInfo, error);
+                await this.recordFailure(channelId, feedUrl, feedInfo, error);
+            }
+            return;
+        }
+        
+        // Don't check more often than the feed's <ttl> or sy:updatePeriod asks for
+        if (result.feed) {
+            const hint = FeedFetcher.getUpdateHint(result.feed);
+            this.scheduler.setMinInterval(urlKey, hint ? Math.min(hint, MAX_HINT_INTERVAL) : null);
+        }
+        
+        for (const { channelId, feedUrl, feedInfo } of subscriptions) {
+            const processed = await this.processFeed(channelId, feedUrl, feedInfo, result);
+            this.recordCheckHealth(feedInfo, null, result, processed);
+        }
+        
+        try {
+            await this.saveFeeds();
+        } catch (error) {
+            logger.error(`Error saving feeds after checking ${urlKey}:`, error);
+        }
+    }
+
+    /**
+     * Check a specific subscription for new items
+     *
+     * This fetches the feed unconditionally and leaves the shared HTTP cache
+     * untouched, so other subscriptions of the same URL are not affected.
+     * In dry-run mode nothing is posted, queued or marked as seen, and a
+     * failed fetch doesn't count towards the feed's failures.
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} options - Check options
+     * @param {boolean} options.dryRun - Only report which items would be posted
+     * @returns {Object} Check summary (`success`, `message`, `title`, `itemsFound`,
+     *                   `newItems`, `posted`, `queued`, `overflow` and `fetchTime` in milliseconds)
+     */
+    async checkFeed(channelId, feedUrl, options = {}) {
+        // Wait for a scheduled check of the same URL, which would otherwise find the same new items
+        const release = await this.lockFeedUrl(this.normalizeFeedUrl(feedUrl));
+        const dryRun = options.dryRun === true;
+        const summary = {
+            success: false,
+            message: null,
+            feedUrl: feedUrl,
+            title: null,
+            itemsFound: 0,
+            newItems: [],
+            posted: 0,
+            queued: 0,
+            overflow: 0,
+            fetchTime: 0
+        };
+
+        try {
+            if (!this.client) {
+                logger.warn('Discord client not set, skipping feed check');
+                summary.message = 'The bot is not connected to Discord yet';
+                return summary;
+            }
+
+            const feedInfo = this.getFeed(channelId, feedUrl);
+            if (!feedInfo) {
+                summary.message = 'RSS feed not found in this channel';
+                return summary;
+            }
+
+            summary.title = feedInfo.title;
+            if (!feedInfo.active) {
+                summary.message = feedInfo.disabledReason === 'paused'
+                    ? 'This RSS feed is paused'
+                    : 'This RSS feed is disabled';
+                return summary;
+            }
+
+            logger.debug(`Checking RSS feed: ${feedInfo.title}${dryRun ? ' (dry run)' : ''}`);
+
+            let result;
+            const startTime = Date.now();
+            try {
+                result = await this.fetchFeed(feedUrl, { conditional: false });
+            } catch (error) {
+                summary.fetchTime = Date.now() - startTime;
+                summary.message = error.message;
+                logger.error(`Error checking RSS feed ${feedUrl}:`, error);
+                
+                // A rate-limited request isn't counted as a failure of the feed
+                if (!dryRun && !error.retryAfter) {
+                    this.recordCheckHealth(feedInfo, error);
+                    await this.recordFailure(channelId, feedUrl, feedInfo, error);
+                    await this.saveFeeds();
+                }
+                return summary;
+            }
+            summary.fetchTime = Date.now() - startTime;
+            
+            const processed = await this.processFeed(channelId, feedUrl, feedInfo, result, { dryRun });
+            Object.assign(summary, processed);
+            summary.title = result.feed?.title || feedInfo.title;
+            summary.success = !processed.error;
+            summary.message = processed.error || null;
+            
+            // Save changes
+            if (!dryRun) {
+                this.recordCheckHealth(feedInfo, null, result, processed);
+                await this.saveFeeds();
+            }
+            
+        } catch (error) {
+            logger.error(`Error checking RSS feed ${feedUrl}:`, error);
+            summary.message = error.message;
+        } finally {
+            release();
+        }
+
+        return summary;
+    }
+
+    /**
+     * Wait until no other check of a feed URL is running, then claim it
+     *
+     * Items are only marked as seen once they are posted, so two checks of
+     * the same URL running at once (e.g. `!checkrss` during a scheduled
+     * check) would both post the same new items. Checks of a URL therefore
+     * take turns.
+     *
+     * @param {string} urlKey - Normalized feed URL
+     * @returns {Promise<Function>} Resolves with a function that releases the claim
+     */
+    async lockFeedUrl(urlKey) {
+        const previous = this.feedLocks.get(urlKey);
+        
+        let release;
+        const current = new Promise(resolve => {
+            release = resolve;
+        });
+        const lock = (previous || Promise.resolve()).then(() => current);
+        this.feedLocks.set(urlKey, lock);
+        
+        await previous;
+        
+        return () => {
+            release();
+            if (this.feedLocks.get(urlKey) === lock) {
+                this.feedLocks.delete(urlKey);
+            }
+        };
     }
 
     /**
-     * Check a specific RSS feed for new items
+     * Post the new items of a fetched feed to one subscription
      * @param {string} channelId - Discord channel ID
      * @param {string} feedUrl - RSS feed URL
+     * @param {Object} feedInfo - Feed information object
+     * @param {Object} result - Fetch result from `fetchFeed`
+     * @param {Object} options - Processing options
+     * @param {boolean} options.dryRun - Work out the new items without posting them or changing any state
+     * @returns {Object} Processing summary (`itemsFound`, `newItems` oldest first,
+     *                   `posted`, `queued`, `overflow` (items over the per-check maximum)
+     *                   and `error` if processing failed)
      */
-    async checkFeed(channelId, feedUrl) {
-        try {
-            if (!this.client) {
-                logger.warn('Discord client not set, skipping feed check');
-                return;
-            }
-
-            const channelFeeds = this.feeds.get(channelId);
-            if (!channelFeeds || !channelFeeds.has(feedUrl)) {
-                return;
-            }
+    async processFeed(channelId, feedUrl, feedInfo, result, options = {}) {
+        const dryRun = options.dryRun === true;
+        const summary = {
+            itemsFound: 0,
+            newItems: [],
+            posted: 0,
+            queued: 0,
+            overflow: 0
+        };
 
-            const feedInfo = channelFeeds.get(feedUrl);
-            if (!feedInfo.active) {
-                return;
+        try {
+            if (result.notModified) {
+                if (!dryRun) {
+                    this.recordSuccess(feedInfo);
+                    feedInfo.lastChecked = new Date();
+                }
+                return summary;
             }
-
-            logger.debug(`Checking RSS feed: ${feedInfo.title}`);
-
-            // Parse the RSS feed
-            const feed = await this.parser.parseURL(feedUrl);
+            
+            const feed = result.feed;
+            summary.itemsFound = feed.items ? feed.items.length : 0;
             
             // Update feed title and description if they've changed
-            if (feed.title !== feedInfo.title) {
+            if (!dryRun && feed.title !== feedInfo.title) {
                 feedInfo.title = feed.title;
             }
-            if (feed.description !== feedInfo.description) {
+            if (!dryRun && feed.description !== feedInfo.description) {
                 feedInfo.description = feed.description;
             }
 
             // Check for new items
             if (feed.items && feed.items.length > 0) {
-                const latestItem = feed.items[0];
+                // Unseen items that pass the filters
+                const unseenItems = this.seenItems.filterUnseen(channelId, feedUrl, feed.items)
+                    .filter(item => feedFilters.itemPassesFilters(feedInfo.filters, item));
                 
-                // If this is the first check or there's a new item
-                if (!feedInfo.lastPostId || feedInfo.lastPostId !== latestItem.guid) {
-                    // Post new items (up to 5 to avoid spam)
-                    const newItems = [];
-                    
-                    for (const item of feed.items) {
-                        if (feedInfo.lastPostId && item.guid === feedInfo.lastPostId) {
-                            break;
-                        }
-                        newItems.push(item);
-                        
-                        // Limit to 5 new posts to avoid spam
-                        if (newItems.length >= 5) {
-                            break;
+                // The first check only posts the subscription's backfill
+                const candidates = this.seenItems.isPrimed(channelId, feedUrl)
+                    ? unseenItems
+                    : feedBacklog.selectBackfillItems(unseenItems, feedInfo.backfill || feedBacklog.createDefaultBackfill());
+                
+                let overflowItems = [];
+                if (feedInfo.digest) {
+                    // Queue every new item for the next digest (oldest first)
+                    summary.newItems = [...candidates].reverse();
+                } else {
+                    // Post up to the per-check maximum to avoid spam, in reverse order (oldest first)
+                    const maxItems = feedInfo.maxItemsPerCheck || feedBacklog.DEFAULT_MAX_ITEMS_PER_CHECK;
+                    summary.newItems = candidates.slice(0, maxItems).reverse();
+                    overflowItems = candidates.slice(maxItems);
+                }
+                summary.overflow = overflowItems.length;
+                
+                if (dryRun) {
+                    return summary;
+                }
+                
+                if (feedInfo.digest) {
+                    this.digestQueue.add(channelId, feedUrl, summary.newItems);
+                    summary.queued = summary.newItems.length;
+                } else {
+                    for (const item of summary.newItems) {
+                        if (await this.postFeedItem(channelId, feed, item, feedInfo)) {
+                            summary.posted++;
                         }
-                    }
-                    
-                    // Post items in reverse order (oldest first)
-                    newItems.reverse();
-                    
-                    for (const item of newItems) {
-                        await this.postFeedItem(channelId, feed, item);
                         
                         // Small delay between posts to avoid rate limits
-                        if (newItems.length > 1) {
+                        if (summary.newItems.length > 1) {
                             await new Promise(resolve => setTimeout(resolve, 1000));
                         }
                     }
                     
-                    // Update last post ID
-                    feedInfo.lastPostId = latestItem.guid;
+                    // List the items over the limit in one message instead of dropping them
+                    if (overflowItems.length > 0) {
+                        await this.postOverflow(channelId, feed, feedInfo, overflowItems);
+                    }
                 }
+                
+                // Remember every item currently in the feed, including filtered ones and any left out by the backfill
+                this.seenItems.markSeen(channelId, feedUrl, feed.items);
+            }
+
+            if (dryRun) {
+                return summary;
             }
 
             // Update last checked time
+            this.recordSuccess(feedInfo);
             feedInfo.lastChecked = new Date();
             
-            // Save changes
-            await this.saveFeeds();
-            
         } catch (error) {
-            logger.error(`Error checking RSS feed ${feedUrl}:`, error);
+            logger.error(`Error processing RSS feed ${feedUrl} for channel ${channelId}:`, error);
+            summary.error = error.message;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Record a check in the health metrics of a subscription
+     * @param {Object} feedInfo - Feed information object
+     * @param {Error|null} error - Error thrown by `fetchFeed`, or null if it succeeded
+     * @param {Object} result - Fetch result from `fetchFeed` (when it succeeded)
+     * @param {Object} processed - Processing summary from `processFeed` (when it succeeded)
+     */
+    recordCheckHealth(feedInfo, error, result = null, processed = null) {
+        if (error) {
+            feedHealth.recordCheck(feedInfo.health, {
+                success: false,
+                duration: error.duration,
+                status: error.status,
+                parseError: error.parseError ? error.message : null
+            });
+            return;
+        }
+        
+        feedHealth.recordCheck(feedInfo.health, {
+            success: !processed.error,
+            duration: result.duration,
+            status: result.status,
+            items: result.notModified ? null : processed.itemsFound,
+            newItems: processed.newItems.length + processed.overflow
+        });
+    }
+
+    /**
+     * Reset the failure state of a feed after a successful check
+     * @param {Object} feedInfo - Feed information object
+     */
+    recordSuccess(feedInfo) {
+        if (feedInfo.failureCount > 0) {
+            logger.info(`RSS feed ${feedInfo.title} recovered after ${feedInfo.failureCount} failed checks`);
+        }
+        
+        feedInfo.failureCount = 0;
+        feedInfo.lastError = null;
+        feedInfo.nextRetryAt = null;
+        feedInfo.lastSuccess = new Date();
+    }
+
+    /**
+     * Record a failed check, back off exponentially and disable the feed
+     * once it reaches the configured failure threshold
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Object} feedInfo - Feed information object
+     * @param {Error} error - Error thrown by the check
+     */
+    async recordFailure(channelId, feedUrl, feedInfo, error) {
+        feedInfo.failureCount = (feedInfo.failureCount || 0) + 1;
+        feedInfo.lastError = error.message;
+        feedInfo.lastChecked = new Date();
+        
+        // Double the wait after every consecutive failure, up to the configured maximum
+        const backoff = Math.min(
+            feedInfo.interval * Math.pow(2, feedInfo.failureCount),
+            this.config.maxBackoffInterval
+        );
+        feedInfo.nextRetryAt = new Date(Date.now() + backoff);
+        
+        logger.warn(`RSS feed ${feedInfo.title} failed to update (${feedInfo.failureCount}/${this.config.maxConsecutiveFailures}), retrying after ${Math.round(backoff / 60000)} minutes`);
+        
+        if (feedInfo.failureCount >= this.config.maxConsecutiveFailures) {
+            feedInfo.active = false;
+            feedInfo.disabledReason = 'failures';
+            feedInfo.nextRetryAt = null;
+            this.stopFeedCheck(channelId, feedUrl);
+            
+            logger.warn(`Disabled RSS feed ${feedInfo.title} after ${feedInfo.failureCount} consecutive failures`);
             
-            // If the feed consistently fails, consider marking it as inactive
-            const feedInfo = this.feeds.get(channelId)?.get(feedUrl);
-            if (feedInfo) {
-                // You could implement a failure counter here and disable after X failures
-                logger.warn(`RSS feed ${feedInfo.title} failed to update`);
+            const noticeEmbed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('⚠️ RSS Feed Disabled')
+                .setDescription(`**${feedInfo.title}** failed ${feedInfo.failureCount} checks in a row and has been disabled.`)
+                .addFields(
+                    {
+                        name: '🔗 Feed URL',
+                        value: feedUrl,
+                        inline: false
+                    },
+                    {
+                        name: '❗ Last Error',
+                        value: this.truncateDescription(feedInfo.lastError, 1024),
+                        inline: false
+                    }
+                )
+                .setFooter({
+                    text: 'The feed will be re-enabled automatically once it works again.'
+                })
+                .setTimestamp();
+            
+            await this.sendNotice(channelId, noticeEmbed);
+        }
+        
+        try {
+            await this.saveFeeds();
+        } catch (saveError) {
+            logger.error('Error saving feed failure state:', saveError);
+        }
+    }
+
+    /**
+     * Retry feeds that were disabled after repeated failures and
+     * re-enable the ones that parse again
+     */
+    async checkDisabledFeeds() {
+        let recovered = 0;
+        
+        // Fetch each URL only once, even when it is disabled in several channels
+        const errors = new Map();
+        
+        for (const [channelId, channelFeeds] of this.feeds.entries()) {
+            for (const [feedUrl, feedInfo] of channelFeeds.entries()) {
+                if (feedInfo.active || feedInfo.disabledReason !== 'failures') {
+                    continue;
+                }
+                
+                const urlKey = this.normalizeFeedUrl(feedUrl);
+                if (!errors.has(urlKey)) {
+                    try {
+                        await this.fetchFeed(urlKey, { conditional: false });
+                        errors.set(urlKey, null);
+                    } catch (error) {
+                        errors.set(urlKey, error);
+                    }
+                }
+                
+                const error = errors.get(urlKey);
+                if (error) {
+                    feedInfo.lastError = error.message;
+                    logger.debug(`RSS feed ${feedInfo.title} is still failing: ${error.message}`);
+                    continue;
+                }
+                
+                feedInfo.active = true;
+                feedInfo.disabledReason = null;
+                this.recordSuccess(feedInfo);
+                this.startFeedCheck(channelId, feedUrl);
+                recovered++;
+                
+                const noticeEmbed = new EmbedBuilder()
+                    .setColor(0x00FF00)
+                    .setTitle('✅ RSS Feed Re-enabled')
+                    .setDescription(`**${feedInfo.title}** is working again and has been re-enabled.`)
+                    .addFields({
+                        name: '🔗 Feed URL',
+                        value: feedUrl,
+                        inline: false
+                    })
+                    .setTimestamp();
+                
+                await this.sendNotice(channelId, noticeEmbed);
             }
         }
+        
+        if (recovered > 0) {
+            logger.info(`Re-enabled ${recovered} previously failing RSS feeds`);
+            await this.saveFeeds();
+        }
     }
 
     /**
-     * Post a feed item to Discord channel
+     * Send a status notice embed to a channel
+     * @param {string} channelId - Discord channel ID
+     * @param {EmbedBuilder} embed - Notice embed
+     */
+    async sendNotice(channelId, embed) {
+        try {
+            const channel = await this.client.channels.fetch(channelId);
+            if (!channel) {
+                logger.error(`Channel ${channelId} not found`);
+                return;
+            }
+            
+            await this.sendFeedMessage(channel, {}, null, { embeds: [embed] }, {
+                name: embed.data.title
+            });
+        } catch (error) {
+            logger.error(`Error sending notice to channel ${channelId}:`, error);
+        }
+    }
+
+    /**
+     * Post the overflow message for items over a subscription's per-check maximum
      * @param {string} channelId - Discord channel ID
      * @param {Object} feed - RSS feed object
-     * @param {Object} item - RSS feed item
+     * @param {Object} feedInfo - Feed information object
+     * @param {Array} items - Items that weren't posted, newest first
      */
-    async postFeedItem(channelId, feed, item) {
+    async postOverflow(channelId, feed, feedInfo, items) {
         try {
             const channel = await this.client.channels.fetch(channelId);
             if (!channel) {
                 logger.error(`Channel ${channelId} not found`);
                 return;
             }
+            
+            const color = this.getFeedTemplate(channel.guildId, feedInfo).color;
+            const embed = feedBacklog.buildOverflowEmbed(feed.title || feedInfo.title, items, color);
+            
+            await this.sendFeedMessage(channel, feed, feedInfo, { embeds: [embed] }, {
+                name: embed.data.title
+            });
+            
+            logger.info(`Posted overflow message for ${items.length} items from "${feedInfo.title}" to channel ${channelId}`);
+        } catch (error) {
+            logger.error(`Error posting overflow message to channel ${channelId}:`, error);
+        }
+    }
 
-            // Create embed for the RSS item
-            const embed = new EmbedBuilder()
-                .setTitle(item.title || 'No Title')
-                .setURL(item.link || null)
-                .setDescription(this.truncateDescription(item.contentSnippet || item.description || 'No description available'))
-                .setColor(0x0099FF)
-                .setTimestamp(item.pubDate ? new Date(item.pubDate) : new Date())
-                .setFooter({
-                    text: feed.title || 'RSS Feed',
-                    iconURL: feed.image?.url || null
-                });
+    /**
+     * Get the template a feed's items are posted with
+     * @param {string|null} guildId - Discord guild ID of the feed's channel
+     * @param {Object|null} feedInfo - Feed information object
+     * @returns {Object} Complete template, using the server's embed color unless the feed set its own
+     */
+    getFeedTemplate(guildId, feedInfo) {
+        const template = feedTemplates.normalizeTemplate(feedInfo?.template);
+        const embedColor = this.guildSettings.get(guildId).embedColor;
+        
+        if (embedColor !== null && template.color === feedTemplates.DEFAULT_TEMPLATE.color) {
+            template.color = embedColor;
+        }
+        
+        return template;
+    }
 
-            // Add author if available
-            if (item.creator || item.author) {
-                embed.setAuthor({
-                    name: item.creator || item.author
-                });
+    /**
+     * Post a feed item to Discord channel
+     * @param {string} channelId - Discord channel ID
+     * @param {Object} feed - RSS feed object
+     * @param {Object} item - RSS feed item
+     * @param {Object} feedInfo - Feed information object (optional, for its template)
+     * @returns {boolean} True if the item was posted
+     */
+    async postFeedItem(channelId, feed, item, feedInfo = null) {
+        try {
+            const channel = await this.client.channels.fetch(channelId);
+            if (!channel) {
+                logger.error(`Channel ${channelId} not found`);
+                return false;
             }
 
-            // Add thumbnail if available
-            if (item.mediaThumbnail?.url || item.mediaContent?.url) {
-                const thumbnailUrl = item.mediaThumbnail?.url || item.mediaContent?.url;
-                embed.setThumbnail(thumbnailUrl);
+            // Render the item with the feed's template (or the default embed layout)
+            const template = this.getFeedTemplate(channel.guildId, feedInfo);
+            const options = feedPings.applyPings(feedTemplates.buildMessage(template, feed, item), feedInfo?.pings, item);
+            const sent = await this.sendFeedMessage(channel, feed, feedInfo, options, {
+                name: item.title || feed.title,
+                tags: this.getForumTags(channel, feedInfo, item)
+            });
+            
+            // Open a discussion thread on the item in text channels
+            if (feedInfo?.postMode === 'thread' && !this.isForumChannel(channel) && sent?.startThread) {
+                try {
+                    await sent.startThread({
+                        name: this.getThreadName(item.title || feed.title),
+                        reason: 'Discussion thread for an RSS feed item'
+                    });
+                } catch (error) {
+                    logger.warn(`Could not create a thread for RSS item "${item.title}" in channel ${channelId}: ${error.message}`);
+                }
             }
-
-            // Send the embed
-            await channel.send({ embeds: [embed] });
+            
+            // Archive the item for !rsshistory and !rsssearch
+            this.history.add({
+                channelId: channelId,
+                feedUrl: feedInfo?.url || feed.feedUrl || null,
+                feedTitle: feed.title || feedInfo?.title || 'RSS Feed',
+                item: item,
+                messageId: sent?.id,
+                messageUrl: sent?.url
+            });
             
             logger.info(`Posted RSS item "${item.title}" to channel ${channelId}`);
+            return true;
             
         } catch (error) {
             logger.error(`Error posting RSS item to channel ${channelId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Send a feed message using the feed's delivery mode
+     *
+     * In webhook mode the message is posted under the feed's title and image.
+     * If the bot can't manage webhooks in the channel it falls back to
+     * posting as itself.
+     *
+     * In forum channels the message becomes the first message of a new
+     * forum post, named after `thread.name` and tagged with `thread.tags`.
+     * 
+     * Messages can't mention anyone unless `options.allowedMentions` says so.
+     *
+     * @param {TextChannel|ForumChannel} channel - Discord channel
+     * @param {Object} feed - RSS feed object
+     * @param {Object} feedInfo - Feed information object
+     * @param {Object} options - Message options
+     * @param {Object} thread - Forum post settings
+     * @param {string} thread.name - Forum post title
+     * @param {Array<string>} thread.tags - IDs of the forum tags to apply
+     * @returns {Message|ThreadChannel} Sent message, or the new forum post
+     */
+    async sendFeedMessage(channel, feed, feedInfo, options, thread = {}) {
+        // Nobody is mentioned unless the message explicitly allows it
+        options = { allowedMentions: { parse: [] }, ...options };
+        
+        const forum = this.isForumChannel(channel);
+        if (forum) {
+            options = {
+                ...options,
+                threadName: this.getThreadName(thread.name || feed.title || feedInfo?.title),
+                appliedTags: thread.tags || []
+            };
+        }
+        
+        if (feedInfo?.delivery === 'webhook') {
+            try {
+                return await this.webhooks.send(channel, options, {
+                    username: feed.title || feedInfo.title,
+                    avatarURL: feed.image?.url
+                });
+            } catch (error) {
+                logger.warn(`Webhook delivery failed in channel ${channel.id}, posting as the bot instead: ${error.message}`);
+            }
+        }
+        
+        if (forum) {
+            const { threadName, appliedTags, ...message } = options;
+            return channel.threads.create({
+                name: threadName,
+                appliedTags: appliedTags,
+                message: message
+            });
+        }
+        
+        return channel.send(options);
+    }
+
+    /**
+     * Check whether a channel only accepts forum posts
+     * @param {Channel} channel - Discord channel
+     * @returns {boolean} True for forum and media channels
+     */
+    isForumChannel(channel) {
+        return channel?.type === ChannelType.GuildForum || channel?.type === ChannelType.GuildMedia;
+    }
+
+    /**
+     * Build a valid thread or forum post name
+     * @param {string} name - Preferred name, usually the item title
+     * @returns {string} Thread name
+     */
+    getThreadName(name) {
+        const cleaned = (name || '').replace(/\s+/g, ' ').trim() || 'RSS Feed';
+        return cleaned.length > MAX_THREAD_NAME_LENGTH
+            ? `${cleaned.substring(0, MAX_THREAD_NAME_LENGTH - 3)}...`
+            : cleaned;
+    }
+
+    /**
+     * Pick the forum tags of an item from its categories
+     *
+     * A category uses the tag mapped to it with `setFeedForumTag`, or else
+     * the forum tag with the same name (ignoring case). The tag mapped to
+     * `*` is used when no category has a tag.
+     *
+     * @param {ForumChannel} channel - Discord forum channel
+     * @param {Object} feedInfo - Feed information object
+     * @param {Object} item - RSS feed item
+     * @returns {Array<string>} IDs of the forum tags to apply
+     */
+    getForumTags(channel, feedInfo, item) {
+        if (!this.isForumChannel(channel)) {
+            return [];
+        }
+        
+        const availableTags = channel.availableTags || [];
+        const forumTags = feedInfo?.forumTags || {};
+        const tagIds = new Set();
+        
+        const categories = (item.categories || [])
+            .map(category => (typeof category === 'object' ? category._ || '' : category))
+            .map(category => String(category).trim().toLowerCase())
+            .filter(category => category);
+        
+        for (const category of categories) {
+            const tag = forumTags[category]
+                ? availableTags.find(availableTag => availableTag.id === forumTags[category])
+                : availableTags.find(availableTag => availableTag.name.toLowerCase() === category);
+            
+            if (tag) {
+                tagIds.add(tag.id);
+            }
+        }
+        
+        if (tagIds.size === 0 && forumTags['*'] && availableTags.some(tag => tag.id === forumTags['*'])) {
+            tagIds.add(forumTags['*']);
         }
+        
+        return [...tagIds].slice(0, MAX_APPLIED_TAGS);
     }
 
     /**
@@ -518,16 +2551,48 @@ class RSSManager {
      */
     startFeedChecking(client) {
         this.client = client;
+        this.webhooks.client = client;
         
         logger.info('Starting RSS feed checking...');
         
-        // Start checking each feed
+        // Schedule each feed URL once, however many channels follow it
+        for (const urlKey of this.getFeedUrlKeys()) {
+            this.updateFeedSchedule(urlKey);
+        }
+        this.scheduler.start(async urlKey => {
+            const release = await this.lockFeedUrl(urlKey);
+            try {
+                await this.checkFeedUrl(urlKey);
+            } finally {
+                release();
+            }
+        });
+        
+        // Schedule the digests of subscriptions in digest mode
         for (const [channelId, channelFeeds] of this.feeds.entries()) {
-            for (const [feedUrl] of channelFeeds.entries()) {
-                this.startFeedCheck(channelId, feedUrl);
+            for (const [feedUrl, feedInfo] of channelFeeds.entries()) {
+                if (feedInfo.digest) {
+                    this.startDigestJob(channelId, feedUrl);
+                }
             }
         }
         
+        // Retry feeds disabled after repeated failures once an hour
+        this.recoveryJob = cron.schedule('0 * * * *', () => {
+            this.checkDisabledFeeds().catch(error => logger.error('Error retrying disabled RSS feeds:', error));
+        }, {
+            scheduled: false
+        });
+        this.recoveryJob.start();
+        
+        // Save snapshots of feeds and configuration (checked every hour)
+        this.snapshotJob = cron.schedule('30 * * * *', () => {
+            this.saveScheduledSnapshot();
+        }, {
+            scheduled: false
+        });
+        this.snapshotJob.start();
+        
         logger.info(`Started monitoring ${this.getTotalFeedCount()} RSS feeds`);
     }
 
@@ -537,52 +2602,89 @@ class RSSManager {
      * @param {string} feedUrl - RSS feed URL
      */
     startFeedCheck(channelId, feedUrl) {
-        const feedKey = `${channelId}-${feedUrl}`;
+        this.updateFeedSchedule(this.normalizeFeedUrl(feedUrl));
+    }
+
+    /**
+     * Stop checking a specific feed
+     *
+     * The subscription must already be inactive or removed; the feed URL
+     * stays scheduled for any other subscriptions of the same URL.
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     */
+    stopFeedCheck(channelId, feedUrl) {
+        this.updateFeedSchedule(this.normalizeFeedUrl(feedUrl));
+    }
+
+    /**
+     * Add, reschedule or remove a feed URL in the scheduler so that it is
+     * checked at the shortest interval among its active subscriptions
+     * @param {string} urlKey - Normalized feed URL
+     */
+    updateFeedSchedule(urlKey) {
+        const subscriptions = this.getSubscriptions(urlKey)
+            .filter(({ feedInfo }) => feedInfo.active);
+        if (subscriptions.length === 0) {
+            this.scheduler.unschedule(urlKey);
+            logger.debug(`Stopped monitoring RSS feed: ${urlKey}`);
+            return;
+        }
+
+        const interval = Math.min(...subscriptions.map(({ feedInfo }) => feedInfo.interval));
+        this.scheduler.schedule(urlKey, interval);
+        
+        logger.debug(`Scheduled RSS feed "${subscriptions[0].feedInfo.title}" for ${subscriptions.length} channels (every ${Math.round(interval / 60000)} minutes, next check ${this.scheduler.getNextRun(urlKey).toISOString()})`);
+    }
+
+    /**
+     * Start the digest job of a subscription in digest mode
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     */
+    startDigestJob(channelId, feedUrl) {
+        const digestKey = `${channelId}-${feedUrl}`;
         
         // Stop existing job if it exists
-        this.stopFeedCheck(channelId, feedUrl);
+        this.stopDigestJob(channelId, feedUrl);
         
-        const feedInfo = this.feeds.get(channelId)?.get(feedUrl);
-        if (!feedInfo || !feedInfo.active) {
+        const feedInfo = this.getFeed(channelId, feedUrl);
+        if (!feedInfo || !feedInfo.digest) {
             return;
         }
-
-        // Convert interval from milliseconds to minutes for cron
-        const intervalMinutes = Math.max(1, Math.floor(feedInfo.interval / 60000));
-        const cronExpression = `*/${intervalMinutes} * * * *`;
         
         try {
-            const job = cron.schedule(cronExpression, () => {
-                this.checkFeed(channelId, feedUrl);
+            const job = cron.schedule(digest.toCronExpression(feedInfo.digest), () => {
+                this.sendDigest(channelId, feedUrl);
             }, {
-                scheduled: false
+                scheduled: false,
+                timezone: feedInfo.digest.timezone
             });
             
-            this.cronJobs.set(feedKey, job);
+            this.digestJobs.set(digestKey, job);
             job.start();
             
-            logger.debug(`Started monitoring RSS feed "${feedInfo.title}" (every ${intervalMinutes} minutes)`);
+            logger.debug(`Scheduled digest of RSS feed "${feedInfo.title}" (${digest.describeSchedule(feedInfo.digest)})`);
             
         } catch (error) {
-            logger.error(`Error starting feed check for ${feedUrl}:`, error);
+            logger.error(`Error scheduling digest for ${feedUrl}:`, error);
         }
     }
 
     /**
-     * Stop checking a specific feed
+     * Stop the digest job of a subscription
      * @param {string} channelId - Discord channel ID
      * @param {string} feedUrl - RSS feed URL
      */
-    stopFeedCheck(channelId, feedUrl) {
-        const feedKey = `${channelId}-${feedUrl}`;
+    stopDigestJob(channelId, feedUrl) {
+        const digestKey = `${channelId}-${feedUrl}`;
         
-        if (this.cronJobs.has(feedKey)) {
-            const job = this.cronJobs.get(feedKey);
+        if (this.digestJobs.has(digestKey)) {
+            const job = this.digestJobs.get(digestKey);
             job.stop();
             job.destroy();
-            this.cronJobs.delete(feedKey);
-            
-            logger.debug(`Stopped monitoring RSS feed: ${feedUrl}`);
+            this.digestJobs.delete(digestKey);
         }
     }
 
@@ -592,12 +2694,27 @@ class RSSManager {
     stopFeedChecking() {
         logger.info('Stopping RSS feed checking...');
         
-        for (const [feedKey, job] of this.cronJobs.entries()) {
+        this.scheduler.stop();
+        
+        for (const job of this.digestJobs.values()) {
             job.stop();
             job.destroy();
         }
         
-        this.cronJobs.clear();
+        this.digestJobs.clear();
+        
+        if (this.recoveryJob) {
+            this.recoveryJob.stop();
+            this.recoveryJob.destroy();
+            this.recoveryJob = null;
+        }
+        
+        if (this.snapshotJob) {
+            this.snapshotJob.stop();
+            this.snapshotJob.destroy();
+            this.snapshotJob = null;
+        }
+        
         logger.info('All RSS feed monitoring stopped');
     }
 
@@ -613,15 +2730,88 @@ class RSSManager {
         return count;
     }
 
+    /**
+     * Get the number of feeds in one server
+     * @param {string} guildId - Discord guild ID
+     * @returns {number} Feed count across the server's channels
+     */
+    getGuildFeedCount(guildId) {
+        let count = 0;
+        for (const [channelId, channelFeeds] of this.feeds.entries()) {
+            if (this.client?.channels.cache.get(channelId)?.guildId === guildId) {
+                count += channelFeeds.size;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Get the health of every subscription, worst first
+     *
+     * Each report has the subscription, its severity and problems (see
+     * feedHealth.assessHealth), its success rate, average request time
+     * and item count over the recent checks, and its last error.
+     *
+     * @param {Function} channelFilter - Only include channels this returns true for (optional)
+     * @returns {Array<Object>} Health reports
+     */
+    getFeedHealth(channelFilter = () => true) {
+        const reports = [];
+        
+        for (const [channelId, channelFeeds] of this.feeds.entries()) {
+            if (!channelFilter(channelId)) {
+                continue;
+            }
+            
+            for (const [feedUrl, feedInfo] of channelFeeds.entries()) {
+                const { severity, problems } = feedHealth.assessHealth(feedInfo, {
+                    staleAge: this.config.staleFeedAge,
+                    checkInterval: this.scheduler.getInterval(this.normalizeFeedUrl(feedUrl))
+                });
+                const lastCheck = feedInfo.health.checks[feedInfo.health.checks.length - 1] || null;
+                
+                reports.push({
+                    channelId: channelId,
+                    url: feedUrl,
+                    title: feedInfo.title,
+                    active: feedInfo.active,
+                    severity: severity,
+                    problems: problems,
+                    successRate: feedHealth.getSuccessRate(feedInfo.health),
+                    checks: feedInfo.health.checks.length,
+                    averageDuration: feedHealth.getAverage(feedInfo.health, 'duration'),
+                    averageItems: feedHealth.getAverage(feedInfo.health, 'items'),
+                    lastStatus: lastCheck ? lastCheck.status : null,
+                    lastChecked: feedInfo.lastChecked,
+                    lastNewItemAt: feedInfo.health.lastNewItemAt ? new Date(feedInfo.health.lastNewItemAt) : null,
+                    lastError: feedInfo.lastError || feedInfo.health.lastParseError?.message || null
+                });
+            }
+        }
+        
+        // Worst first; among equals the lowest success rate first
+        return reports.sort((a, b) =>
+            b.severity - a.severity ||
+            (a.successRate ?? 1) - (b.successRate ?? 1) ||
+            a.title.localeCompare(b.title));
+    }
+
     /**
      * Get RSS manager statistics
      * @returns {Object} Statistics object
      */
     getStatistics() {
+        const health = { ok: 0, warning: 0, error: 0, critical: 0 };
+        const severityNames = Object.keys(feedHealth.SEVERITY);
+        for (const report of this.getFeedHealth()) {
+            health[severityNames[report.severity]]++;
+        }
+        
         const stats = {
             totalFeeds: this.getTotalFeedCount(),
             totalChannels: this.feeds.size,
-            activeJobs: this.cronJobs.size,
+            activeJobs: this.scheduler.size,
+            health: health,
             config: { ...this.config }
         };
         
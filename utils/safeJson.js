@@ -0,0 +1,140 @@
+/**
+ * Safe JSON File Utility
+ *
+ * This module writes JSON files so that a crash can never leave them
+ * half-written, and reads them back with a fallback to older copies:
+ * - Data is written to a temporary file first and then renamed over the
+ *   real file, which replaces it in one step
+ * - Before a write, the current file can be copied to rotated backups
+ *   (`feeds.json.bak.1` is the newest, `feeds.json.bak.2` the one before...)
+ * - When the file can't be parsed, the newest readable backup is used and
+ *   the broken file is kept aside for inspection
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const logger = require('./logger');
+
+// Counter that keeps temporary file names unique within this process
+let tempCounter = 0;
+
+/**
+ * Get the path of a backup
+ * @param {string} filePath - Path of the JSON file
+ * @param {number} index - Backup number (1 is the newest)
+ * @returns {string} Backup path
+ */
+function getBackupPath(filePath, index) {
+    return `${filePath}.bak.${index}`;
+}
+
+/**
+ * Copy the current file to the newest backup, shifting older ones down
+ * @param {string} filePath - Path of the JSON file
+ * @param {number} count - Number of backups to keep
+ * @param {number} minAge - Only rotate when the newest backup is at least this old (milliseconds)
+ */
+async function rotateBackups(filePath, count, minAge) {
+    if (!(await fs.pathExists(filePath))) {
+        return;
+    }
+
+    const newest = getBackupPath(filePath, 1);
+    if (minAge > 0 && await fs.pathExists(newest)) {
+        const { mtimeMs } = await fs.stat(newest);
+        if (Date.now() - mtimeMs < minAge) {
+            return;
+        }
+    }
+
+    for (let index = count - 1; index >= 1; index--) {
+        const source = getBackupPath(filePath, index);
+        if (await fs.pathExists(source)) {
+            await fs.move(source, getBackupPath(filePath, index + 1), { overwrite: true });
+        }
+    }
+
+    await fs.copy(filePath, newest);
+}
+
+/**
+ * Write a JSON file atomically
+ * @param {string} filePath - Path of the JSON file
+ * @param {*} data - Data to write
+ * @param {Object} options - Write options
+ * @param {number} options.spaces - Indentation of the JSON output
+ * @param {number} options.backups - Number of rotated backups to keep (default 0)
+ * @param {number} options.backupInterval - Minimum time between backups in milliseconds (default 0)
+ */
+async function writeJsonAtomic(filePath, data, options = {}) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${tempCounter++}.tmp`);
+
+    try {
+        await fs.writeJson(tempPath, data, { spaces: options.spaces });
+
+        if (options.backups > 0) {
+            await rotateBackups(filePath, options.backups, options.backupInterval || 0);
+        }
+
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.remove(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Read a JSON file, falling back to its newest readable backup
+ * @param {string} filePath - Path of the JSON file
+ * @param {Object} options - Read options
+ * @param {number} options.backups - Number of backups to try (default 0)
+ * @returns {Object|null} `{ data, recoveredFrom }` (recoveredFrom is the backup path, or null),
+ *                        or null if neither the file nor a backup exists
+ * @throws {Error} If the file exists but neither it nor any backup can be read
+ */
+async function readJsonSafe(filePath, options = {}) {
+    const candidates = [filePath];
+    for (let index = 1; index <= (options.backups || 0); index++) {
+        candidates.push(getBackupPath(filePath, index));
+    }
+
+    let firstError = null;
+    for (const candidate of candidates) {
+        if (!(await fs.pathExists(candidate))) {
+            continue;
+        }
+
+        try {
+            const data = await fs.readJson(candidate);
+            return { data: data, recoveredFrom: candidate === filePath ? null : candidate };
+        } catch (error) {
+            logger.error(`Could not read ${candidate}: ${error.message}`);
+            firstError = firstError || error;
+        }
+    }
+
+    if (firstError) {
+        throw firstError;
+    }
+
+    return null;
+}
+
+/**
+ * Move a broken file aside so it isn't overwritten by the next save
+ * @param {string} filePath - Path of the broken file
+ * @returns {string} New path of the file
+ */
+async function quarantine(filePath) {
+    const target = `${filePath}.corrupt-${Date.now()}`;
+    await fs.move(filePath, target);
+    return target;
+}
+
+module.exports = {
+    getBackupPath,
+    writeJsonAtomic,
+    readJsonSafe,
+    quarantine
+};
\ No newline at end of file
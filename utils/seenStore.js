@@ -0,0 +1,253 @@
+/**
+ * Seen Items Store
+ *
+ * This module remembers which feed items have already been handled for
+ * each subscription (a channel + feed URL pair). Items are identified by a
+ * fingerprint so that feeds without GUIDs, feeds that reorder their items,
+ * and feeds that delete their newest item don't cause reposts.
+ *
+ * Fingerprints are built from (in order of preference):
+ * - The item GUID (or Atom id)
+ * - The item link
+ * - A hash of the item title and publication date
+ *
+ * Each subscription keeps at most `maxItems` fingerprints, and fingerprints
+ * older than `maxAge` are dropped. Fingerprints are refreshed every time an
+ * item is still present in the feed, so only items that have left the feed
+ * can expire.
+ */
+
+const crypto = require('crypto');
+
+const logger = require('./logger');
+
+class SeenItemsStore {
+    /**
+     * @param {Object} storage - Storage adapter (see storage.js)
+     * @param {Object} options - Store limits
+     * @param {number} options.maxItems - Maximum fingerprints kept per subscription
+     * @param {number} options.maxAge - Maximum fingerprint age in milliseconds
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.maxItems = options.maxItems || 500;
+        this.maxAge = options.maxAge || 30 * 24 * 60 * 60 * 1000; // 30 days
+
+        // channelId -> feedUrl -> { primed, legacyLastPostId, items: Map<fingerprint, seenAt> }
+        this.entries = new Map();
+    }
+
+    /**
+     * Build a stable fingerprint for a feed item
+     * @param {Object} item - RSS feed item
+     * @returns {string} Item fingerprint
+     */
+    static fingerprint(item) {
+        const guid = item.guid || item.id;
+        if (guid) {
+            return `guid:${guid}`;
+        }
+
+        if (item.link) {
+            return `link:${item.link}`;
+        }
+
+        const hash = crypto.createHash('sha1')
+            .update(`${item.title || ''}|${item.pubDate || item.isoDate || ''}`)
+            .digest('hex');
+
+        return `hash:${hash}`;
+    }
+
+    /**
+     * Update the store limits
+     * @param {Object} options - Store limits (maxItems, maxAge)
+     */
+    configure(options = {}) {
+        if (options.maxItems) this.maxItems = options.maxItems;
+        if (options.maxAge) this.maxAge = options.maxAge;
+    }
+
+    /**
+     * Load seen items from storage
+     */
+    async load() {
+        this.entries = new Map();
+
+        const data = await this.storage.load('seenItems');
+        if (!data) {
+            return;
+        }
+
+        for (const [channelId, channelEntries] of Object.entries(data)) {
+            for (const [feedUrl, entry] of Object.entries(channelEntries)) {
+                const record = this.getEntry(channelId, feedUrl, true);
+                record.primed = entry.primed === true;
+                record.legacyLastPostId = entry.legacyLastPostId || null;
+                record.items = new Map(Object.entries(entry.items || {}));
+                this.prune(record);
+            }
+        }
+
+        logger.debug(`Loaded seen items for ${this.entries.size} channels`);
+    }
+
+    /**
+     * Save seen items to storage
+     */
+    async save() {
+        const data = {};
+
+        for (const [channelId, channelEntries] of this.entries.entries()) {
+            data[channelId] = {};
+
+            for (const [feedUrl, record] of channelEntries.entries()) {
+                this.prune(record);
+                data[channelId][feedUrl] = {
+                    primed: record.primed,
+                    legacyLastPostId: record.legacyLastPostId || undefined,
+                    items: Object.fromEntries(record.items)
+                };
+            }
+        }
+
+        await this.storage.save('seenItems', data);
+    }
+
+    /**
+     * Get the record for a subscription
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {boolean} create - Create the record if it doesn't exist
+     * @returns {Object|null} Subscription record
+     */
+    getEntry(channelId, feedUrl, create = false) {
+        if (!this.entries.has(channelId)) {
+            if (!create) return null;
+            this.entries.set(channelId, new Map());
+        }
+
+        const channelEntries = this.entries.get(channelId);
+        if (!channelEntries.has(feedUrl)) {
+            if (!create) return null;
+            channelEntries.set(feedUrl, {
+                primed: false,
+                legacyLastPostId: null,
+                items: new Map()
+            });
+        }
+
+        return channelEntries.get(feedUrl);
+    }
+
+    /**
+     * Check whether a subscription has completed its first check
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @returns {boolean} True if the subscription has been primed
+     */
+    isPrimed(channelId, feedUrl) {
+        return this.getEntry(channelId, feedUrl)?.primed === true;
+    }
+
+    /**
+     * Import a legacy `lastPostId` value from feeds.json
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {string} lastPostId - GUID of the last posted item
+     */
+    migrateLastPostId(channelId, feedUrl, lastPostId) {
+        const record = this.getEntry(channelId, feedUrl, true);
+        if (record.primed) {
+            return;
+        }
+
+        record.legacyLastPostId = lastPostId;
+        record.items.set(`guid:${lastPostId}`, Date.now());
+    }
+
+    /**
+     * Find the items of a feed that haven't been seen by a subscription
+     *
+     * On the first check of a subscription every item counts as new, unless
+     * a legacy `lastPostId` was migrated, in which case only the items above
+     * it are new (matching the old behaviour).
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Array} items - Feed items, newest first
+     * @returns {Array} Unseen items, in feed order
+     */
+    filterUnseen(channelId, feedUrl, items) {
+        const record = this.getEntry(channelId, feedUrl);
+
+        if (!record) {
+            return [...items];
+        }
+
+        if (!record.primed && record.legacyLastPostId) {
+            const markerIndex = items.findIndex(item => item.guid === record.legacyLastPostId);
+            return markerIndex === -1 ? [...items] : items.slice(0, markerIndex);
+        }
+
+        return items.filter(item => !record.items.has(SeenItemsStore.fingerprint(item)));
+    }
+
+    /**
+     * Mark items as seen for a subscription
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     * @param {Array} items - Feed items to mark as seen
+     */
+    markSeen(channelId, feedUrl, items) {
+        const record = this.getEntry(channelId, feedUrl, true);
+        const now = Date.now();
+
+        for (const item of items) {
+            record.items.set(SeenItemsStore.fingerprint(item), now);
+        }
+
+        record.primed = true;
+        record.legacyLastPostId = null;
+        this.prune(record);
+    }
+
+    /**
+     * Remove all seen items for a subscription
+     * @param {string} channelId - Discord channel ID
+     * @param {string} feedUrl - RSS feed URL
+     */
+    remove(channelId, feedUrl) {
+        const channelEntries = this.entries.get(channelId);
+        if (!channelEntries) {
+            return;
+        }
+
+        channelEntries.delete(feedUrl);
+        if (channelEntries.size === 0) {
+            this.entries.delete(channelId);
+        }
+    }
+
+    /**
+     * Apply the age and size limits to a subscription record
+     * @param {Object} record - Subscription record
+     */
+    prune(record) {
+        const cutoff = Date.now() - this.maxAge;
+
+        for (const [fingerprint, seenAt] of record.items.entries()) {
+            if (seenAt < cutoff) {
+                record.items.delete(fingerprint);
+            }
+        }
+
+        if (record.items.size > this.maxItems) {
+            // Keep the most recently seen fingerprints
+            const sorted = [...record.items.entries()].sort((a, b) => b[1] - a[1]);
+            record.items = new Map(sorted.slice(0, this.maxItems));
+        }
+    }
+}
+
+module.exports = SeenItemsStore;
@@ -0,0 +1,153 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * This adapter keeps every collection in one embedded SQLite database,
+ * using better-sqlite3. Each top-level key of a collection is stored as
+ * its own row, so saving a collection only writes the rows that changed
+ * instead of rewriting everything:
+ *
+ *   collections (name, updated_at)         - collections that have been saved
+ *   documents   (collection, key, value)   - one JSON value per row
+ *
+ * The database uses write-ahead logging, so a crash can't leave it
+ * half-written.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const logger = require('./logger');
+
+class SqliteStorage {
+    /**
+     * @param {string} filePath - Path of the database file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.db = null;
+
+        // collection -> Map<key, JSON text> of what is stored, to skip unchanged rows
+        this.stored = new Map();
+    }
+
+    /**
+     * Open the database and create the tables
+     */
+    async open() {
+        // Loaded here so the JSON storage works without the native module
+        const Database = require('better-sqlite3');
+
+        await fs.ensureDir(path.dirname(this.filePath));
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS collections (
+                name TEXT PRIMARY KEY,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS documents (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (collection, key)
+            );
+        `);
+
+        this.statements = {
+            hasCollection: this.db.prepare('SELECT 1 FROM collections WHERE name = ?'),
+            touchCollection: this.db.prepare('INSERT INTO collections (name, updated_at) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET updated_at = excluded.updated_at'),
+            selectRows: this.db.prepare('SELECT key, value FROM documents WHERE collection = ? ORDER BY rowid'),
+            upsertRow: this.db.prepare('INSERT INTO documents (collection, key, value) VALUES (?, ?, ?) ON CONFLICT(collection, key) DO UPDATE SET value = excluded.value'),
+            deleteRow: this.db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?')
+        };
+
+        logger.debug(`Opened SQLite database ${this.filePath}`);
+    }
+
+    /**
+     * Close the database
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.stored.clear();
+        }
+    }
+
+    /**
+     * Describe the storage for logs
+     * @returns {string} Description
+     */
+    describe() {
+        return `SQLite database ${this.filePath}`;
+    }
+
+    /**
+     * Load a collection
+     * @param {string} collection - Collection name
+     * @returns {Object|null} Stored data, or null if the collection was never saved
+     */
+    async load(collection) {
+        if (!this.statements.hasCollection.get(collection)) {
+            return null;
+        }
+
+        const data = {};
+        const stored = new Map();
+
+        for (const row of this.statements.selectRows.all(collection)) {
+            data[row.key] = JSON.parse(row.value);
+            stored.set(row.key, row.value);
+        }
+
+        this.stored.set(collection, stored);
+        return data;
+    }
+
+    /**
+     * Save a collection, writing only the rows that changed
+     * @param {string} collection - Collection name
+     * @param {Object} data - Data to store
+     */
+    async save(collection, data) {
+        if (!this.stored.has(collection)) {
+            // Find out what is stored already, so rows that were removed get deleted
+            const stored = new Map();
+            for (const row of this.statements.selectRows.all(collection)) {
+                stored.set(row.key, row.value);
+            }
+            this.stored.set(collection, stored);
+        }
+
+        const stored = this.stored.get(collection);
+        const rows = Object.entries(data)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => [key, JSON.stringify(value)]);
+
+        const write = this.db.transaction(() => {
+            const keys = new Set();
+
+            for (const [key, value] of rows) {
+                keys.add(key);
+                if (stored.get(key) !== value) {
+                    this.statements.upsertRow.run(collection, key, value);
+                }
+            }
+
+            for (const key of stored.keys()) {
+                if (!keys.has(key)) {
+                    this.statements.deleteRow.run(collection, key);
+                }
+            }
+
+            this.statements.touchCollection.run(collection, new Date().toISOString());
+        });
+
+        write();
+        this.stored.set(collection, new Map(rows));
+    }
+}
+
+module.exports = SqliteStorage;
\ No newline at end of file
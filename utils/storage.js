@@ -0,0 +1,88 @@
+/**
+ * Storage Utility
+ *
+ * This module picks the storage backend that keeps the bot's state.
+ * The RSS Manager and its stores never touch files directly; they load
+ * and save named collections through a storage adapter instead:
+ * - feeds, config, seenItems, digests, history, schedule, httpCache,
+ *   guildSettings
+ *
+ * A collection is a plain object. Its top-level keys are the rows of the
+ * collection (e.g. one key per channel for feeds), which lets database
+ * adapters write only the rows that changed.
+ *
+ * Every adapter implements:
+ * - `open()` / `close()`
+ * - `load(collection)` - the stored object, or null if it was never saved
+ * - `save(collection, data)` - replace the stored object
+ * - `describe()` - short description for logs
+ *
+ * Adapters may also implement `watch(collection, onChange)`, which calls
+ * `onChange` when a collection is edited outside the bot and returns a
+ * function that stops watching. The JSON adapter uses it to reload
+ * config.json live.
+ *
+ * Available adapters:
+ * - json: one JSON file per collection in the data directory (default)
+ * - sqlite: a single SQLite database file (`data/carterbot.db`)
+ *
+ * The adapter is chosen with the STORAGE environment variable.
+ */
+
+const path = require('path');
+
+const JsonStorage = require('./jsonStorage');
+const SqliteStorage = require('./sqliteStorage');
+
+// Names of the available adapters
+const STORAGE_TYPES = ['json', 'sqlite'];
+
+// Every collection the bot stores, in the order they are migrated
+const COLLECTIONS = ['config', 'feeds', 'seenItems', 'digests', 'history', 'schedule', 'httpCache', 'guildSettings'];
+
+/**
+ * Create a storage adapter
+ * @param {string} type - Adapter name ('json' or 'sqlite')
+ * @param {string} dataPath - Data directory
+ * @returns {JsonStorage|SqliteStorage} Storage adapter (not opened yet)
+ * @throws {Error} If the adapter name is unknown
+ */
+function createStorage(type, dataPath) {
+    switch ((type || 'json').toLowerCase()) {
+        case 'json':
+            return new JsonStorage(dataPath);
+        case 'sqlite':
+            return new SqliteStorage(path.join(dataPath, 'carterbot.db'));
+        default:
+            throw new Error(`Unknown storage type "${type}". Use one of: ${STORAGE_TYPES.join(', ')}`);
+    }
+}
+
+/**
+ * Copy every collection from one storage to another
+ * @param {Object} source - Storage adapter to read from
+ * @param {Object} target - Storage adapter to write to
+ * @returns {Array<Object>} What was copied `{ collection, rows }`; collections that were never saved are skipped
+ */
+async function copyCollections(source, target) {
+    const copied = [];
+
+    for (const collection of COLLECTIONS) {
+        const data = await source.load(collection);
+        if (data === null) {
+            continue;
+        }
+
+        await target.save(collection, data);
+        copied.push({ collection: collection, rows: Object.keys(data).length });
+    }
+
+    return copied;
+}
+
+module.exports = {
+    STORAGE_TYPES,
+    COLLECTIONS,
+    createStorage,
+    copyCollections
+};
\ No newline at end of file
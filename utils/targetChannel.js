@@ -0,0 +1,34 @@
+/**
+ * Target Channel Utility
+ *
+ * Feed commands manage the channel they are used in, or another channel
+ * mentioned in the message (e.g. a forum channel, which can't receive
+ * commands itself). The server-wide permission check in messageCreate.js
+ * doesn't cover a mentioned channel, so this module checks that the
+ * channel belongs to the same server and that the member has the needed
+ * permissions in that channel.
+ */
+
+/**
+ * Find the channel a command manages and check the member may manage it
+ * @param {Message} message - Discord message object
+ * @param {Array<string>} permissions - Permissions the member needs in the channel
+ * @returns {Object} `{ channel }`, or `{ error }` with a readable reason if the channel can't be used
+ */
+function resolveTargetChannel(message, permissions = ['ManageChannels']) {
+    const channel = message.mentions.channels.first() || message.channel;
+
+    if (!message.guild || channel.guildId !== message.guild.id) {
+        return { error: 'Only channels of this server can be managed.' };
+    }
+
+    if (!channel.permissionsFor(message.member)?.has(permissions)) {
+        return { error: `You need the ${permissions.join(' and ')} permission${permissions.length > 1 ? 's' : ''} in ${channel} to do this.` };
+    }
+
+    return { channel: channel };
+}
+
+module.exports = {
+    resolveTargetChannel
+};
\ No newline at end of file
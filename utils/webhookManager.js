@@ -0,0 +1,135 @@
+/**
+ * Webhook Manager Utility
+ *
+ * This module manages the channel webhooks used by feeds in webhook
+ * delivery mode. Posting through a webhook lets every feed appear under
+ * its own name and avatar instead of the bot's.
+ *
+ * Webhooks are managed automatically:
+ * - One webhook per channel is created the first time it's needed
+ * - Existing webhooks created by the bot are reused after restarts
+ * - A webhook deleted by someone in Discord is recreated on the next post
+ * - The webhook is deleted when the channel no longer needs it
+ */
+
+const logger = require('./logger');
+
+// Name of the webhooks created by the bot
+const WEBHOOK_NAME = 'CarterBot Feeds';
+
+// Discord API error code for deleted webhooks
+const UNKNOWN_WEBHOOK = 10015;
+
+class WebhookManager {
+    constructor() {
+        // channelId -> Webhook
+        this.webhooks = new Map();
+
+        // Client reference, used to recognize the bot's own webhooks
+        this.client = null;
+    }
+
+    /**
+     * Get the bot's webhook for a channel
+     * @param {TextChannel} channel - Discord channel
+     * @param {boolean} create - Create the webhook if it doesn't exist
+     * @returns {Webhook|null} Channel webhook
+     */
+    async getWebhook(channel, create = true) {
+        if (this.webhooks.has(channel.id)) {
+            return this.webhooks.get(channel.id);
+        }
+
+        const existing = await channel.fetchWebhooks();
+        let webhook = existing.find(hook =>
+            hook.name === WEBHOOK_NAME && hook.owner?.id === this.client?.user?.id && hook.token
+        ) || null;
+
+        if (!webhook && create) {
+            webhook = await channel.createWebhook({
+                name: WEBHOOK_NAME,
+                reason: 'RSS feed delivery in webhook mode'
+            });
+            logger.info(`Created feed webhook in channel ${channel.id}`);
+        }
+
+        if (webhook) {
+            this.webhooks.set(channel.id, webhook);
+        }
+
+        return webhook;
+    }
+
+    /**
+     * Send a message through the channel webhook
+     * @param {TextChannel} channel - Discord channel
+     * @param {Object} options - Message options
+     * @param {Object} identity - Name and avatar to post under
+     * @param {string} identity.username - Display name
+     * @param {string} identity.avatarURL - Avatar image URL
+     * @returns {Message} Sent message
+     */
+    async send(channel, options, identity = {}) {
+        const payload = {
+            ...options,
+            username: this.sanitizeUsername(identity.username),
+            avatarURL: identity.avatarURL || undefined
+        };
+
+        const webhook = await this.getWebhook(channel);
+
+        try {
+            return await webhook.send(payload);
+        } catch (error) {
+            if (error.code !== UNKNOWN_WEBHOOK) {
+                throw error;
+            }
+
+            // The webhook was deleted in Discord; create a new one and retry once
+            logger.warn(`Feed webhook in channel ${channel.id} was deleted, recreating it`);
+            this.webhooks.delete(channel.id);
+
+            const newWebhook = await this.getWebhook(channel);
+            return newWebhook.send(payload);
+        }
+    }
+
+    /**
+     * Delete the bot's webhook from a channel
+     * @param {TextChannel} channel - Discord channel
+     */
+    async remove(channel) {
+        try {
+            const webhook = await this.getWebhook(channel, false);
+            this.webhooks.delete(channel.id);
+
+            if (webhook) {
+                await webhook.delete('No feeds use webhook delivery in this channel anymore');
+                logger.info(`Deleted feed webhook in channel ${channel.id}`);
+            }
+        } catch (error) {
+            this.webhooks.delete(channel.id);
+            if (error.code !== UNKNOWN_WEBHOOK) {
+                logger.error(`Error deleting feed webhook in channel ${channel.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Make a feed title usable as a webhook username
+     * (1-80 characters, without the words Discord rejects)
+     * @param {string} name - Feed title
+     * @returns {string} Webhook username
+     */
+    sanitizeUsername(name) {
+        const cleaned = (name || '')
+            .replace(/discord|clyde/gi, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, 80);
+
+        return cleaned || 'RSS Feed';
+    }
+}
+
+module.exports = WebhookManager;
\ No newline at end of file